@@ -10,17 +10,141 @@
   const CONFIG = {
     apiKey: null,
     apiEndpoint: null,
-    theme: 'light',
-    welcomeMessage: 'Hello! How can I help you today?',
-    debug: true,
+    theme: 'light', // 'light', 'dark' or 'auto' (follows prefers-color-scheme)
+    // CSS custom property overrides, e.g. { '--primary-gradient': '...', userMsgBg: '#0f766e' }
+    themeTokens: null,
+    welcomeMessage: null, // defaults to the translated greeting
+    // Suggested first messages shown as chips under the welcome message
+    // (strings or { label, value })
+    starterPrompts: null,
+    // UI and speech language; base codes pick a regional speech locale (e.g. 'es' -> 'es-ES')
+    lang: 'en',
+    voice: null, // preferred speechSynthesis voice name
+    translations: null, // host overrides, e.g. { en: { listening: 'Go ahead...' } }
+    debug: false, // log to the console
+    // Mounting: false skips creating a widget from the script tag (use AIVoiceWidget.init)
+    autoInit: true,
+    id: null, // instance id and host element id; defaults to 'ai-voice-widget', '-2', ...
+    target: null, // element or selector to render inline into, instead of the floating FAB
+    // 'auto' (inline when a target is given, otherwise floating), 'floating', 'inline' or
+    // 'fullscreen' (the open panel covers the viewport). setConfig can switch between
+    // floating and fullscreen; inline vs. floating (and target) is fixed at creation.
+    layout: 'auto',
+    position: 'bottom-right', // 'bottom-right' or 'bottom-left' for the floating widget
+    width: 380, // panel size: pixels or a CSS length
+    height: 500,
+    zIndex: 10000,
+    mobileFullscreen: true, // go full screen below mobileBreakpoint
+    mobileBreakpoint: 640, // px viewport width
+    expandable: true, // header button that enlarges the floating panel
+    resizable: true, // drag handle on the floating panel's top corner
+    rememberLayout: false, // keep the expanded state and size in localStorage (not the layout mode)
+    // Render assistant replies as sanitized Markdown (lists, links, code blocks)
+    markdown: true,
+    // Ask the backend for a streamed reply (SSE or NDJSON). Plain JSON replies still work.
+    stream: true,
+    // Conversation persistence: null (off), 'local', 'session' or 'indexeddb'
+    storage: null,
+    storageKey: 'ai-voice-widget',
+    storageTtl: 24 * 60 * 60 * 1000, // ms before a saved conversation is discarded
+    // Speech-to-text: 'auto', 'browser', 'recorder' or a factory returning a recognizer adapter
+    sttProvider: 'auto',
+    // Receives recorded audio (multipart "audio" field) when the recorder adapter is used
+    transcriptionEndpoint: null,
+    // Text-to-speech: 'browser' (speechSynthesis) or 'server' (audio from the backend)
+    ttsProvider: 'browser',
+    // Optional endpoint that turns {text} into audio; without it 'server' mode plays
+    // the audio/audioUrl/audioBase64 field returned with each chat reply
+    ttsEndpoint: null,
+    // Barge-in: keep listening during TTS in a call and stop speaking when the user talks
+    bargeIn: false,
+    bargeInThreshold: 0.06, // mic RMS level; higher than normal VAD to ride over echo
+    bargeInMinSpeechMs: 250,
+    // Voice activity detection in calls drives the visualizer and, with vadEndOfTurn,
+    // decides when the user has finished speaking instead of the recognizer's heuristics
+    vadEndOfTurn: false,
+    vadThreshold: 0.02,
+    vadSilenceMs: 900, // quiet time that ends the user's turn
+    // Call bar: a caption strip of the current utterance, and a summary card posted to
+    // the chat transcript when a call ends
+    captions: true,
+    callSummary: true,
+    // Token auth: short-lived bearer tokens from a token endpoint or a host callback
+    // (getToken may return a string or { token, expiresIn }). Preferred over apiKey.
+    tokenEndpoint: null,
+    getToken: null,
+    // Networking: per-attempt timeout (ms), which is also the longest a streamed reply may
+    // go without data, and retries with exponential backoff
+    requestTimeout: 30000,
+    maxRetries: 2,
+    retryBaseDelay: 1000,
+    // Backend schema: 'default' ({message, sessionId, history} -> {response}), 'openai'
+    // (chat completions) or an adapter object. buildRequest/parseResponse/parseChunk
+    // hooks override single steps and receive the adapter's own version as 2nd argument.
+    schema: 'default',
+    buildRequest: null,
+    parseResponse: null,
+    parseChunk: null,
+    model: null, // 'openai' schema
+    systemPrompt: null, // 'openai' schema
+    // Page context sent with each request as `context` (opt-in). pageContext is the
+    // allowlist, in priority order: 'url', 'title', 'description', 'selection' (text the
+    // user picked with "Ask about this") and 'host' or 'host.<key>' for the context
+    // object (or function returning one) below. true means url, title and description.
+    pageContext: null,
+    context: null,
+    contextFieldLimit: 1000, // characters per text field
+    contextMaxSize: 4000, // bytes of JSON; fields that don't fit are left out
+    // Extra request headers and metadata (objects, or functions returning them)
+    headers: null,
+    metadata: null,
+    // Attachments: with uploadEndpoint each file is uploaded first (multipart "file",
+    // replying with { id, url }) and referenced in the message; otherwise the message
+    // goes to apiEndpoint as multipart ("payload" JSON plus "files"). Opt-in, since the
+    // backend has to accept either format
+    attachments: false,
+    uploadEndpoint: null,
+    maxAttachments: 5,
+    maxAttachmentSize: 10 * 1024 * 1024, // bytes per file
+    attachmentTypes: ['image/*', 'application/pdf', 'text/plain'], // MIME types or .extensions
+    // Live agent handoff: a reply with `handoff` (or startHandoff()) moves the chat to a
+    // WebSocket at handoffUrl until the agent ends it. createWebSocket(url) may return
+    // any object with the WebSocket send/close/onopen/onmessage/onclose surface. A reply
+    // may name its own url, but only on handoffUrl's origin. The session token goes in the
+    // handshake: createWebSocket(url, { headers }) receives the auth headers, the built-in
+    // WebSocket (which can't send headers) a ?token= query parameter.
+    handoffUrl: null,
+    createWebSocket: null,
+    // Receives { email, sessionId, transcript } and emails the conversation; enables
+    // "Email transcript" in the header menu
+    transcriptEndpoint: null,
+    // Thumbs up/down under assistant replies and a 1-5 survey when the user closes the
+    // widget or ends a call. Submissions are emitted as 'feedback' and, with
+    // feedbackEndpoint, POSTed there.
+    feedback: false,
+    survey: false,
+    feedbackEndpoint: null,
+    // Ask before running any registered tool, not only those registered with confirm
+    confirmTools: false,
+    maxToolRounds: 5, // follow-up requests per user message before we stop running tools
+    // Proactive engagement for visitors who haven't chatted yet. Each trigger is
+    // { type, message, suggestions, action: 'teaser' | 'open', url, once, id } with type
+    // 'time' ({ seconds }), 'scroll' ({ percent }), 'exitIntent', 'url' ({ url }) or
+    // 'event' ({ name } of a window event; its detail may carry message/suggestions).
+    // `url` also restricts the other types; patterns use * wildcards on the path.
+    triggers: null,
+    unreadBadge: true, // count replies that arrive while the panel is closed on the FAB
     // === BYPASS CONFIGURATION ===
-    // Set to true to disable API key validation (for development/testing)
-    bypassApiKeyValidation: true  // Currently forced to true for public access
+    // Set to true to run without an API key or token (development/testing only)
+    bypassApiKeyValidation: false
   };
 
   // Utility functions
+  // Instances with debug on; logging is shared, so it runs while any of them exists
+  const debugInstances = new Set();
+
   const log = (...args) => {
-    if (CONFIG.debug) {
+    if (debugInstances.size) {
       console.log('[AI Widget]', ...args);
     }
   };
@@ -29,10 +153,1206 @@
     console.error('[AI Widget]', ...args);
   };
 
+  // UI strings per locale; missing keys fall back to English
+  const TRANSLATIONS = {
+    en: {
+      chatTab: 'AI Chat',
+      callTab: 'AI Call',
+      inputPlaceholder: 'Type a message...',
+      send: 'Send',
+      newConversation: 'Start new conversation',
+      close: 'Close',
+      endCall: 'End Call',
+      welcome: 'Hello! How can I help you today?',
+      typing: 'AI is typing',
+      errorReply: 'Sorry, I encountered an error. Please try again.',
+      tapToStart: 'Tap to start call',
+      tapToSpeak: 'Tap to speak',
+      connecting: 'Connecting...',
+      listening: 'Listening...',
+      aiSpeaking: 'AI Speaking...',
+      callEnded: 'Call Ended',
+      micDenied: 'Microphone denied',
+      micError: 'Error starting mic',
+      speechUnsupported: 'Speech recognition not supported in this browser',
+      copy: 'Copy',
+      copied: 'Copied!',
+      stopGenerating: 'Stop generating',
+      retry: 'Retry',
+      notDelivered: 'Not delivered',
+      waitingForConnection: 'Waiting for connection...',
+      queued: 'Queued',
+      toolRequest: 'The assistant wants to:',
+      allow: 'Allow',
+      deny: 'Deny',
+      toolAllowed: 'Allowed',
+      toolDenied: 'Declined',
+      attach: 'Attach a file',
+      removeAttachment: 'Remove',
+      dropFiles: 'Drop files to attach',
+      fileTooLarge: '{name} is larger than {max}',
+      fileTypeNotAllowed: '{name} is not a supported file type',
+      tooManyFiles: 'You can attach up to {max} files',
+      handoffConnecting: 'Connecting you to a live agent…',
+      handoffQueue: 'You are number {position} in the queue',
+      handoffConnected: 'You are chatting with {name}',
+      handoffAgent: 'Agent',
+      agentTyping: '{name} is typing',
+      endHandoff: 'End chat',
+      handoffEnded: 'The agent ended the chat. You are back with the AI assistant.',
+      handoffFailed: 'We could not reach a live agent. You are back with the AI assistant.',
+      talkToHuman: 'Talk to a person',
+      widgetTitle: 'AI assistant',
+      openChat: 'Open chat',
+      conversation: 'Conversation',
+      messageLabel: 'Message',
+      micButton: 'Talk',
+      transcriptMenu: 'Conversation options',
+      downloadText: 'Download as text',
+      downloadMarkdown: 'Download as Markdown',
+      downloadJson: 'Download as JSON',
+      printTranscript: 'Print',
+      emailTranscript: 'Email transcript',
+      emailPlaceholder: 'Your email address',
+      emailSend: 'Send',
+      emailSent: 'Transcript sent to {email}',
+      emailFailed: 'Could not send the transcript. Please try again.',
+      you: 'You',
+      assistant: 'Assistant',
+      transcriptTitle: 'Conversation transcript',
+      helpful: 'Helpful',
+      notHelpful: 'Not helpful',
+      feedbackComment: 'Tell us more (optional)',
+      feedbackSend: 'Send',
+      feedbackSkip: 'Skip',
+      feedbackThanks: 'Thanks for your feedback!',
+      surveyTitle: 'How was your conversation?',
+      surveyRating: '{rating} out of 5',
+      surveyComment: 'Anything we could do better? (optional)',
+      expand: 'Expand',
+      collapse: 'Restore size',
+      resize: 'Resize (drag or use arrow keys)',
+      openChatUnread: 'Open chat ({count} unread)',
+      dismiss: 'Dismiss',
+      askAboutThis: 'Ask about this',
+      askingAbout: 'Asking about:',
+      removeSelection: 'Remove quoted text',
+      mute: 'Mute',
+      hold: 'Hold',
+      speaker: 'Speaker',
+      muted: 'Muted',
+      onHold: 'On hold',
+      callDuration: 'Call duration',
+      callSummaryTitle: 'Voice call · {duration}',
+      callSummaryMessages: '{count} messages exchanged',
+      callSummaryEmpty: 'No messages were exchanged'
+    },
+    es: {
+      chatTab: 'Chat IA',
+      callTab: 'Llamada IA',
+      inputPlaceholder: 'Escribe un mensaje...',
+      send: 'Enviar',
+      newConversation: 'Nueva conversación',
+      close: 'Cerrar',
+      endCall: 'Finalizar llamada',
+      welcome: '¡Hola! ¿En qué puedo ayudarte hoy?',
+      typing: 'La IA está escribiendo',
+      errorReply: 'Lo siento, se produjo un error. Inténtalo de nuevo.',
+      tapToStart: 'Toca para iniciar la llamada',
+      tapToSpeak: 'Toca para hablar',
+      connecting: 'Conectando...',
+      listening: 'Escuchando...',
+      aiSpeaking: 'La IA está hablando...',
+      callEnded: 'Llamada finalizada',
+      micDenied: 'Micrófono denegado',
+      micError: 'Error al iniciar el micrófono',
+      speechUnsupported: 'Este navegador no admite el reconocimiento de voz',
+      copy: 'Copiar',
+      copied: '¡Copiado!',
+      stopGenerating: 'Detener respuesta',
+      retry: 'Reintentar',
+      notDelivered: 'No enviado',
+      waitingForConnection: 'Esperando conexión...',
+      queued: 'En cola',
+      toolRequest: 'El asistente quiere:',
+      allow: 'Permitir',
+      deny: 'Rechazar',
+      toolAllowed: 'Permitido',
+      toolDenied: 'Rechazado',
+      attach: 'Adjuntar un archivo',
+      removeAttachment: 'Quitar',
+      dropFiles: 'Suelta los archivos para adjuntarlos',
+      fileTooLarge: '{name} supera {max}',
+      fileTypeNotAllowed: '{name} no es un tipo de archivo compatible',
+      tooManyFiles: 'Puedes adjuntar hasta {max} archivos',
+      handoffConnecting: 'Conectándote con un agente…',
+      handoffQueue: 'Eres el número {position} en la cola',
+      handoffConnected: 'Estás chateando con {name}',
+      handoffAgent: 'Agente',
+      agentTyping: '{name} está escribiendo',
+      endHandoff: 'Finalizar chat',
+      handoffEnded: 'El agente finalizó el chat. Vuelves a hablar con el asistente de IA.',
+      handoffFailed: 'No pudimos contactar con un agente. Vuelves a hablar con el asistente de IA.',
+      talkToHuman: 'Hablar con una persona',
+      widgetTitle: 'Asistente de IA',
+      openChat: 'Abrir chat',
+      conversation: 'Conversación',
+      messageLabel: 'Mensaje',
+      micButton: 'Hablar',
+      transcriptMenu: 'Opciones de la conversación',
+      downloadText: 'Descargar como texto',
+      downloadMarkdown: 'Descargar como Markdown',
+      downloadJson: 'Descargar como JSON',
+      printTranscript: 'Imprimir',
+      emailTranscript: 'Enviar por correo',
+      emailPlaceholder: 'Tu correo electrónico',
+      emailSend: 'Enviar',
+      emailSent: 'Transcripción enviada a {email}',
+      emailFailed: 'No se pudo enviar la transcripción. Inténtalo de nuevo.',
+      you: 'Tú',
+      assistant: 'Asistente',
+      transcriptTitle: 'Transcripción de la conversación',
+      helpful: 'Útil',
+      notHelpful: 'No es útil',
+      feedbackComment: 'Cuéntanos más (opcional)',
+      feedbackSend: 'Enviar',
+      feedbackSkip: 'Omitir',
+      feedbackThanks: '¡Gracias por tu opinión!',
+      surveyTitle: '¿Qué tal fue la conversación?',
+      surveyRating: '{rating} de 5',
+      surveyComment: '¿Qué podríamos mejorar? (opcional)',
+      expand: 'Ampliar',
+      collapse: 'Restaurar tamaño',
+      resize: 'Cambiar tamaño (arrastra o usa las flechas)',
+      openChatUnread: 'Abrir chat ({count} sin leer)',
+      dismiss: 'Descartar',
+      askAboutThis: 'Preguntar sobre esto',
+      askingAbout: 'Preguntando sobre:',
+      removeSelection: 'Quitar el texto citado',
+      mute: 'Silenciar',
+      hold: 'En espera',
+      speaker: 'Altavoz',
+      muted: 'Silenciado',
+      onHold: 'En espera',
+      callDuration: 'Duración de la llamada',
+      callSummaryTitle: 'Llamada de voz · {duration}',
+      callSummaryMessages: '{count} mensajes intercambiados',
+      callSummaryEmpty: 'No se intercambiaron mensajes'
+    },
+    fr: {
+      chatTab: 'Chat IA',
+      callTab: 'Appel IA',
+      inputPlaceholder: 'Écrivez un message...',
+      send: 'Envoyer',
+      newConversation: 'Nouvelle conversation',
+      close: 'Fermer',
+      endCall: "Terminer l'appel",
+      welcome: "Bonjour ! Comment puis-je vous aider aujourd'hui ?",
+      typing: "L'IA écrit",
+      errorReply: "Désolé, une erreur s'est produite. Veuillez réessayer.",
+      tapToStart: "Touchez pour lancer l'appel",
+      tapToSpeak: 'Touchez pour parler',
+      connecting: 'Connexion...',
+      listening: 'Écoute...',
+      aiSpeaking: "L'IA parle...",
+      callEnded: 'Appel terminé',
+      micDenied: 'Micro refusé',
+      micError: 'Erreur de démarrage du micro',
+      speechUnsupported: "La reconnaissance vocale n'est pas prise en charge par ce navigateur",
+      copy: 'Copier',
+      copied: 'Copié !',
+      stopGenerating: 'Arrêter la réponse',
+      retry: 'Réessayer',
+      notDelivered: 'Non envoyé',
+      waitingForConnection: 'En attente de connexion...',
+      queued: 'En attente',
+      toolRequest: "L'assistant souhaite :",
+      allow: 'Autoriser',
+      deny: 'Refuser',
+      toolAllowed: 'Autorisé',
+      toolDenied: 'Refusé',
+      attach: 'Joindre un fichier',
+      removeAttachment: 'Retirer',
+      dropFiles: 'Déposez les fichiers à joindre',
+      fileTooLarge: '{name} dépasse {max}',
+      fileTypeNotAllowed: "{name} n'est pas un type de fichier pris en charge",
+      tooManyFiles: "Vous pouvez joindre jusqu'à {max} fichiers",
+      handoffConnecting: 'Connexion à un conseiller…',
+      handoffQueue: "Vous êtes numéro {position} dans la file d'attente",
+      handoffConnected: 'Vous discutez avec {name}',
+      handoffAgent: 'Conseiller',
+      agentTyping: '{name} écrit',
+      endHandoff: 'Terminer la discussion',
+      handoffEnded: "Le conseiller a terminé la discussion. Vous êtes de retour avec l'assistant IA.",
+      handoffFailed: "Aucun conseiller n'est joignable. Vous êtes de retour avec l'assistant IA.",
+      talkToHuman: 'Parler à un conseiller',
+      widgetTitle: 'Assistant IA',
+      openChat: 'Ouvrir le chat',
+      conversation: 'Conversation',
+      messageLabel: 'Message',
+      micButton: 'Parler',
+      transcriptMenu: 'Options de la conversation',
+      downloadText: 'Télécharger en texte',
+      downloadMarkdown: 'Télécharger en Markdown',
+      downloadJson: 'Télécharger en JSON',
+      printTranscript: 'Imprimer',
+      emailTranscript: 'Envoyer par e-mail',
+      emailPlaceholder: 'Votre adresse e-mail',
+      emailSend: 'Envoyer',
+      emailSent: 'Transcription envoyée à {email}',
+      emailFailed: "Impossible d'envoyer la transcription. Veuillez réessayer.",
+      you: 'Vous',
+      assistant: 'Assistant',
+      transcriptTitle: 'Transcription de la conversation',
+      helpful: 'Utile',
+      notHelpful: 'Pas utile',
+      feedbackComment: 'Dites-nous en plus (facultatif)',
+      feedbackSend: 'Envoyer',
+      feedbackSkip: 'Passer',
+      feedbackThanks: 'Merci pour votre avis !',
+      surveyTitle: "Comment s'est passée la conversation ?",
+      surveyRating: '{rating} sur 5',
+      surveyComment: 'Que pourrions-nous améliorer ? (facultatif)',
+      expand: 'Agrandir',
+      collapse: 'Taille normale',
+      resize: 'Redimensionner (glisser ou flèches)',
+      openChatUnread: 'Ouvrir le chat ({count} non lus)',
+      dismiss: 'Ignorer',
+      askAboutThis: 'Poser une question à ce sujet',
+      askingAbout: 'À propos de :',
+      removeSelection: 'Retirer le texte cité',
+      mute: 'Couper le micro',
+      hold: 'Mettre en attente',
+      speaker: 'Haut-parleur',
+      muted: 'Micro coupé',
+      onHold: 'En attente',
+      callDuration: 'Durée de l’appel',
+      callSummaryTitle: 'Appel vocal · {duration}',
+      callSummaryMessages: '{count} messages échangés',
+      callSummaryEmpty: 'Aucun message échangé'
+    },
+    de: {
+      chatTab: 'KI-Chat',
+      callTab: 'KI-Anruf',
+      inputPlaceholder: 'Nachricht eingeben...',
+      send: 'Senden',
+      newConversation: 'Neues Gespräch',
+      close: 'Schließen',
+      endCall: 'Anruf beenden',
+      welcome: 'Hallo! Wie kann ich Ihnen heute helfen?',
+      typing: 'KI schreibt',
+      errorReply: 'Entschuldigung, ein Fehler ist aufgetreten. Bitte versuchen Sie es erneut.',
+      tapToStart: 'Tippen, um den Anruf zu starten',
+      tapToSpeak: 'Tippen zum Sprechen',
+      connecting: 'Verbinden...',
+      listening: 'Hört zu...',
+      aiSpeaking: 'KI spricht...',
+      callEnded: 'Anruf beendet',
+      micDenied: 'Mikrofon verweigert',
+      micError: 'Mikrofon konnte nicht gestartet werden',
+      speechUnsupported: 'Spracherkennung wird in diesem Browser nicht unterstützt',
+      copy: 'Kopieren',
+      copied: 'Kopiert!',
+      stopGenerating: 'Antwort stoppen',
+      retry: 'Erneut versuchen',
+      notDelivered: 'Nicht zugestellt',
+      waitingForConnection: 'Warte auf Verbindung...',
+      queued: 'In Warteschlange',
+      toolRequest: 'Der Assistent möchte:',
+      allow: 'Erlauben',
+      deny: 'Ablehnen',
+      toolAllowed: 'Erlaubt',
+      toolDenied: 'Abgelehnt',
+      attach: 'Datei anhängen',
+      removeAttachment: 'Entfernen',
+      dropFiles: 'Dateien zum Anhängen hier ablegen',
+      fileTooLarge: '{name} ist größer als {max}',
+      fileTypeNotAllowed: '{name} ist kein unterstützter Dateityp',
+      tooManyFiles: 'Sie können bis zu {max} Dateien anhängen',
+      handoffConnecting: 'Verbindung zu einem Mitarbeiter wird hergestellt…',
+      handoffQueue: 'Sie sind Nummer {position} in der Warteschlange',
+      handoffConnected: 'Sie chatten mit {name}',
+      handoffAgent: 'Mitarbeiter',
+      agentTyping: '{name} schreibt',
+      endHandoff: 'Chat beenden',
+      handoffEnded: 'Der Mitarbeiter hat den Chat beendet. Sie sind wieder beim KI-Assistenten.',
+      handoffFailed: 'Wir konnten keinen Mitarbeiter erreichen. Sie sind wieder beim KI-Assistenten.',
+      talkToHuman: 'Mit einem Mitarbeiter sprechen',
+      widgetTitle: 'KI-Assistent',
+      openChat: 'Chat öffnen',
+      conversation: 'Unterhaltung',
+      messageLabel: 'Nachricht',
+      micButton: 'Sprechen',
+      transcriptMenu: 'Optionen für die Unterhaltung',
+      downloadText: 'Als Text herunterladen',
+      downloadMarkdown: 'Als Markdown herunterladen',
+      downloadJson: 'Als JSON herunterladen',
+      printTranscript: 'Drucken',
+      emailTranscript: 'Per E-Mail senden',
+      emailPlaceholder: 'Ihre E-Mail-Adresse',
+      emailSend: 'Senden',
+      emailSent: 'Verlauf an {email} gesendet',
+      emailFailed: 'Der Verlauf konnte nicht gesendet werden. Bitte versuchen Sie es erneut.',
+      you: 'Sie',
+      assistant: 'Assistent',
+      transcriptTitle: 'Gesprächsverlauf',
+      helpful: 'Hilfreich',
+      notHelpful: 'Nicht hilfreich',
+      feedbackComment: 'Erzählen Sie uns mehr (optional)',
+      feedbackSend: 'Senden',
+      feedbackSkip: 'Überspringen',
+      feedbackThanks: 'Danke für Ihr Feedback!',
+      surveyTitle: 'Wie war die Unterhaltung?',
+      surveyRating: '{rating} von 5',
+      surveyComment: 'Was könnten wir besser machen? (optional)',
+      expand: 'Vergrößern',
+      collapse: 'Originalgröße',
+      resize: 'Größe ändern (ziehen oder Pfeiltasten)',
+      openChatUnread: 'Chat öffnen ({count} ungelesen)',
+      dismiss: 'Schließen',
+      askAboutThis: 'Dazu fragen',
+      askingAbout: 'Frage zu:',
+      removeSelection: 'Zitierten Text entfernen',
+      mute: 'Stummschalten',
+      hold: 'Halten',
+      speaker: 'Lautsprecher',
+      muted: 'Stummgeschaltet',
+      onHold: 'Gehalten',
+      callDuration: 'Anrufdauer',
+      callSummaryTitle: 'Sprachanruf · {duration}',
+      callSummaryMessages: '{count} Nachrichten ausgetauscht',
+      callSummaryEmpty: 'Es wurden keine Nachrichten ausgetauscht'
+    },
+    pt: {
+      chatTab: 'Chat IA',
+      callTab: 'Chamada IA',
+      inputPlaceholder: 'Digite uma mensagem...',
+      send: 'Enviar',
+      newConversation: 'Nova conversa',
+      close: 'Fechar',
+      endCall: 'Encerrar chamada',
+      welcome: 'Olá! Como posso ajudar você hoje?',
+      typing: 'A IA está digitando',
+      errorReply: 'Desculpe, ocorreu um erro. Tente novamente.',
+      tapToStart: 'Toque para iniciar a chamada',
+      tapToSpeak: 'Toque para falar',
+      connecting: 'Conectando...',
+      listening: 'Ouvindo...',
+      aiSpeaking: 'A IA está falando...',
+      callEnded: 'Chamada encerrada',
+      micDenied: 'Microfone negado',
+      micError: 'Erro ao iniciar o microfone',
+      speechUnsupported: 'O reconhecimento de voz não é compatível com este navegador',
+      copy: 'Copiar',
+      copied: 'Copiado!',
+      stopGenerating: 'Parar resposta',
+      retry: 'Tentar novamente',
+      notDelivered: 'Não enviado',
+      waitingForConnection: 'Aguardando conexão...',
+      queued: 'Na fila',
+      toolRequest: 'O assistente quer:',
+      allow: 'Permitir',
+      deny: 'Recusar',
+      toolAllowed: 'Permitido',
+      toolDenied: 'Recusado',
+      attach: 'Anexar um arquivo',
+      removeAttachment: 'Remover',
+      dropFiles: 'Solte os arquivos para anexar',
+      fileTooLarge: '{name} excede {max}',
+      fileTypeNotAllowed: '{name} não é um tipo de arquivo compatível',
+      tooManyFiles: 'Você pode anexar até {max} arquivos',
+      handoffConnecting: 'Conectando você a um atendente…',
+      handoffQueue: 'Você é o número {position} na fila',
+      handoffConnected: 'Você está conversando com {name}',
+      handoffAgent: 'Atendente',
+      agentTyping: '{name} está digitando',
+      endHandoff: 'Encerrar chat',
+      handoffEnded: 'O atendente encerrou o chat. Você voltou ao assistente de IA.',
+      handoffFailed: 'Não conseguimos falar com um atendente. Você voltou ao assistente de IA.',
+      talkToHuman: 'Falar com um atendente',
+      widgetTitle: 'Assistente de IA',
+      openChat: 'Abrir chat',
+      conversation: 'Conversa',
+      messageLabel: 'Mensagem',
+      micButton: 'Falar',
+      transcriptMenu: 'Opções da conversa',
+      downloadText: 'Baixar como texto',
+      downloadMarkdown: 'Baixar como Markdown',
+      downloadJson: 'Baixar como JSON',
+      printTranscript: 'Imprimir',
+      emailTranscript: 'Enviar por e-mail',
+      emailPlaceholder: 'Seu endereço de e-mail',
+      emailSend: 'Enviar',
+      emailSent: 'Transcrição enviada para {email}',
+      emailFailed: 'Não foi possível enviar a transcrição. Tente novamente.',
+      you: 'Você',
+      assistant: 'Assistente',
+      transcriptTitle: 'Transcrição da conversa',
+      helpful: 'Útil',
+      notHelpful: 'Não foi útil',
+      feedbackComment: 'Conte-nos mais (opcional)',
+      feedbackSend: 'Enviar',
+      feedbackSkip: 'Pular',
+      feedbackThanks: 'Obrigado pelo seu feedback!',
+      surveyTitle: 'Como foi a conversa?',
+      surveyRating: '{rating} de 5',
+      surveyComment: 'O que poderíamos melhorar? (opcional)',
+      expand: 'Ampliar',
+      collapse: 'Restaurar tamanho',
+      resize: 'Redimensionar (arraste ou use as setas)',
+      openChatUnread: 'Abrir chat ({count} não lidas)',
+      dismiss: 'Dispensar',
+      askAboutThis: 'Perguntar sobre isto',
+      askingAbout: 'Perguntando sobre:',
+      removeSelection: 'Remover o texto citado',
+      mute: 'Silenciar',
+      hold: 'Em espera',
+      speaker: 'Alto-falante',
+      muted: 'Silenciado',
+      onHold: 'Em espera',
+      callDuration: 'Duração da chamada',
+      callSummaryTitle: 'Chamada de voz · {duration}',
+      callSummaryMessages: '{count} mensagens trocadas',
+      callSummaryEmpty: 'Nenhuma mensagem foi trocada'
+    }
+  };
+
+  // Default regional locale for speech recognition and synthesis
+  const SPEECH_LOCALES = {
+    en: 'en-US',
+    es: 'es-ES',
+    fr: 'fr-FR',
+    de: 'de-DE',
+    pt: 'pt-BR'
+  };
+
+  // Request/response adapters for different chat backends. buildRequest(ctx) returns
+  // the JSON body, parseResponse(data) and parseChunk(data) extract the reply text.
+  const SCHEMA_ADAPTERS = {
+    default: {
+      buildRequest(ctx) {
+        const body = {
+          message: ctx.message,
+          sessionId: ctx.sessionId,
+          history: ctx.history,
+          lang: ctx.lang
+        };
+        if (ctx.stream) body.stream = true;
+        if (ctx.tts) body.tts = true;
+        if (ctx.metadata) body.metadata = ctx.metadata;
+        if (ctx.context) body.context = ctx.context;
+        if (ctx.attachments.length) body.attachments = ctx.attachments;
+        if (ctx.tools.length) body.tools = ctx.tools;
+        if (ctx.toolResults) body.toolResults = ctx.toolResults;
+        return body;
+      },
+      parseResponse(data) {
+        return {
+          text: data.response,
+          toolCalls: data.toolCalls,
+          handoff: data.handoff,
+          suggestions: data.suggestions,
+          buttons: data.buttons,
+          cards: data.cards
+        };
+      },
+      parseChunk(data) {
+        return data.token ?? data.delta ?? data.content ?? data.response ?? data.text;
+      },
+      // Collect tool calls from stream payloads into `pending`
+      parseChunkToolCalls(data, pending) {
+        if (Array.isArray(data.toolCalls)) pending.push(...data.toolCalls);
+      }
+    },
+
+    openai: {
+      buildRequest(ctx) {
+        const messages = ctx.history.map(entry => {
+          if (entry.role === 'tool') {
+            return { role: 'tool', tool_call_id: entry.toolCallId, content: entry.content };
+          }
+          const message = { role: entry.role, content: entry.content };
+          const uploaded = (entry.attachments || []).filter(attachment => attachment.url);
+          if (uploaded.length) {
+            message.content = [
+              { type: 'text', text: entry.content },
+              ...uploaded.map(attachment => (attachment.type.startsWith('image/')
+                ? { type: 'image_url', image_url: { url: attachment.url } }
+                : { type: 'text', text: `[${attachment.name}](${attachment.url})` }))
+            ];
+          }
+          if (entry.toolCalls) {
+            message.tool_calls = entry.toolCalls.map(call => ({
+              id: call.id,
+              type: 'function',
+              function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+            }));
+          }
+          return message;
+        });
+        if (ctx.metadata) {
+          messages.unshift({
+            role: 'system',
+            content: `Metadata from the site: ${JSON.stringify(ctx.metadata)}`
+          });
+        }
+        if (ctx.context) {
+          messages.unshift({
+            role: 'system',
+            content: `Context from the page the user is on: ${JSON.stringify(ctx.context)}`
+          });
+        }
+        if (ctx.config.systemPrompt) {
+          messages.unshift({ role: 'system', content: ctx.config.systemPrompt });
+        }
+        const body = { messages, stream: Boolean(ctx.stream), user: ctx.sessionId };
+        if (ctx.config.model) body.model = ctx.config.model;
+        if (ctx.tools.length) {
+          body.tools = ctx.tools.map(tool => ({ type: 'function', function: tool }));
+        }
+        return body;
+      },
+      parseResponse(data) {
+        const message = data.choices && data.choices[0] && data.choices[0].message;
+        if (!message) return '';
+        return {
+          text: message.content || '',
+          toolCalls: (message.tool_calls || []).map(call => ({
+            id: call.id,
+            name: call.function.name,
+            arguments: call.function.arguments
+          }))
+        };
+      },
+      parseChunk(data) {
+        const choice = data.choices && data.choices[0];
+        return choice && choice.delta ? choice.delta.content : '';
+      },
+      // Tool calls stream as fragments keyed by index; names and arguments are concatenated
+      parseChunkToolCalls(data, pending) {
+        const choice = data.choices && data.choices[0];
+        const deltas = (choice && choice.delta && choice.delta.tool_calls) || [];
+        deltas.forEach(delta => {
+          const call = pending[delta.index] = pending[delta.index] || { id: '', name: '', arguments: '' };
+          if (delta.id) call.id = delta.id;
+          if (delta.function && delta.function.name) call.name += delta.function.name;
+          if (delta.function && delta.function.arguments) call.arguments += delta.function.arguments;
+        });
+      }
+    }
+  };
+
+  // Config values that may be given as a function to be evaluated per request
+  const resolveOption = (value, ...args) => (typeof value === 'function' ? value(...args) : value);
+
+  const TRIGGER_TYPES = ['time', 'scroll', 'exitIntent', 'url', 'event'];
+
+  // pushState/replaceState fire no event, so while any url trigger is armed they are wrapped
+  // to dispatch URL_CHANGE_EVENT on window for url triggers in single-page apps
+  const URL_CHANGE_EVENT = 'aivoicewidget:urlchange';
+  let historyWatchers = 0;
+  let historyWrappers = null;
+
+  // Returns a function that stops watching; the last one restores the original methods
+  function watchHistory() {
+    if (!window.history) return () => {};
+    if (historyWatchers++ === 0) {
+      historyWrappers = {};
+      ['pushState', 'replaceState'].forEach(method => {
+        const original = window.history[method];
+        if (typeof original !== 'function') return;
+        const wrapped = function (...args) {
+          const result = original.apply(this, args);
+          // After the caller (usually a router) has finished, and only while still watching
+          if (historyWrappers?.[method]?.wrapped === wrapped) {
+            queueMicrotask(() => window.dispatchEvent(new Event(URL_CHANGE_EVENT)));
+          }
+          return result;
+        };
+        historyWrappers[method] = { original, wrapped };
+        window.history[method] = wrapped;
+      });
+    }
+
+    let watching = true;
+    return () => {
+      if (!watching) return;
+      watching = false;
+      if (--historyWatchers > 0) return;
+      Object.entries(historyWrappers).forEach(([method, { original, wrapped }]) => {
+        // A script that wrapped ours since keeps its wrapper; ours just goes quiet
+        if (window.history[method] === wrapped) window.history[method] = original;
+      });
+      historyWrappers = null;
+    };
+  }
+
+  // Trigger URL patterns: RegExps, or strings with * wildcards matched against the path
+  // (path and query when the pattern has a '?', the full URL when it has a scheme)
+  function matchesUrlPattern(patterns, location = window.location) {
+    return [].concat(patterns).some(pattern => {
+      if (pattern instanceof RegExp) return pattern.test(location.href);
+      const text = String(pattern);
+      const subject = /^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? location.href
+        : text.includes('?') ? location.pathname + location.search : location.pathname;
+      const source = text.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      return new RegExp(`^${source}$`).test(subject);
+    });
+  }
+
+  // Persistence backends share a tiny async interface: load(), save(state), clear()
+  function createStorage(type, key) {
+    if (type === 'indexeddb') {
+      if (!window.indexedDB) return null;
+      const openDb = () => new Promise((resolve, reject) => {
+        const request = indexedDB.open('ai-voice-widget', 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('sessions');
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      const run = (mode, action) => openDb().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction('sessions', mode);
+        const request = action(tx.objectStore('sessions'));
+        tx.oncomplete = () => {
+          db.close();
+          resolve(request.result);
+        };
+        tx.onerror = () => {
+          db.close();
+          reject(tx.error);
+        };
+      }));
+      return {
+        load: () => run('readonly', store => store.get(key)).then(value => value || null),
+        save: (state) => run('readwrite', store => store.put(state, key)),
+        clear: () => run('readwrite', store => store.delete(key))
+      };
+    }
+
+    let webStorage = null;
+    try {
+      webStorage = type === 'session' ? window.sessionStorage : type === 'local' ? window.localStorage : null;
+    } catch (e) {
+      // Access throws when storage is blocked (e.g. third-party cookies disabled)
+      return null;
+    }
+    if (!webStorage) return null;
+
+    return {
+      load: async () => JSON.parse(webStorage.getItem(key) || 'null'),
+      save: async (state) => webStorage.setItem(key, JSON.stringify(state)),
+      clear: async () => webStorage.removeItem(key)
+    };
+  }
+
+  // Energy-based voice activity detector running on a MediaStream
+  class VoiceActivityDetector {
+    constructor(stream, audioContext, options = {}) {
+      this.stream = stream;
+      this.audioContext = audioContext;
+      this.threshold = options.threshold ?? 0.02; // RMS level that counts as voice
+      this.silenceMs = options.silenceMs ?? 800; // quiet time that ends speech
+      this.minSpeechMs = options.minSpeechMs ?? 150; // ignore clicks and short noises
+      this.speaking = false;
+      this.voiceStartedAt = null;
+      this.lastVoiceAt = 0;
+      this.level = 0; // latest RMS level, e.g. for visualizers
+      this.timer = null;
+      this.onspeechstart = null;
+      this.onspeechend = null;
+    }
+
+    start() {
+      if (this.timer) return;
+      this.source = this.audioContext.createMediaStreamSource(this.stream);
+      this.analyser = this.audioContext.createAnalyser();
+      this.analyser.fftSize = 1024;
+      this.samples = new Float32Array(this.analyser.fftSize);
+      this.source.connect(this.analyser);
+      // setInterval keeps running (throttled) in background tabs, unlike rAF
+      this.timer = setInterval(() => this.tick(), 50);
+    }
+
+    stop() {
+      clearInterval(this.timer);
+      this.timer = null;
+      if (this.source) this.source.disconnect();
+      this.source = null;
+      this.speaking = false;
+      this.voiceStartedAt = null;
+      this.level = 0;
+    }
+
+    getLevel() {
+      this.analyser.getFloatTimeDomainData(this.samples);
+      let sum = 0;
+      for (let i = 0; i < this.samples.length; i++) sum += this.samples[i] * this.samples[i];
+      return Math.sqrt(sum / this.samples.length);
+    }
+
+    tick() {
+      const now = Date.now();
+      this.level = this.getLevel();
+
+      if (this.level >= this.threshold) {
+        this.lastVoiceAt = now;
+        if (this.speaking) return;
+        if (this.voiceStartedAt === null) this.voiceStartedAt = now;
+        if (now - this.voiceStartedAt >= this.minSpeechMs) {
+          this.speaking = true;
+          if (this.onspeechstart) this.onspeechstart();
+        }
+        return;
+      }
+
+      this.voiceStartedAt = null;
+      if (this.speaking && now - this.lastVoiceAt >= this.silenceMs) {
+        this.speaking = false;
+        if (this.onspeechend) this.onspeechend();
+      }
+    }
+  }
+
+  // Recognizer adapters share one interface: start(), stop(), a `lang` property
+  // and the onresult(transcript), onend() and onerror(code) callbacks. Adapters
+  // that support VAD turn-taking also implement endTurn(), and those that can
+  // report partial text call oninterim(text).
+
+  // Adapter for the browser's built-in Web Speech API (Chrome, Edge, Safari)
+  class BrowserRecognizer {
+    static isSupported() {
+      return 'SpeechRecognition' in window || 'webkitSpeechRecognition' in window;
+    }
+
+    constructor({ lang, manualTurns = false, interim = false }) {
+      const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+      this.recognition = new Recognition();
+      // Use continuous mode to avoid repeated permission prompts
+      this.recognition.continuous = true;
+      // With manual turns results are collected until endTurn() is called
+      this.recognition.interimResults = manualTurns || interim;
+      this.recognition.lang = lang;
+      this.manualTurns = manualTurns;
+      this.resetTurn();
+      this.onresult = null;
+      this.oninterim = null;
+      this.onend = null;
+      this.onerror = null;
+
+      this.recognition.onresult = (event) => {
+        if (!this.manualTurns) {
+          const result = event.results[event.results.length - 1];
+          if (result.isFinal === false) {
+            if (this.oninterim) this.oninterim(result[0].transcript);
+            return;
+          }
+          if (this.onresult) this.onresult(result[0].transcript);
+          return;
+        }
+
+        // Everything said since the last turn ended, including interim text
+        let text = '';
+        for (let i = this.turnStart; i < event.results.length; i++) {
+          text += event.results[i][0].transcript;
+        }
+        this.turnText = text;
+        this.resultCount = event.results.length;
+        if (this.oninterim) this.oninterim(text);
+      };
+      this.recognition.onend = () => {
+        // The results list starts over with the next session
+        if (this.manualTurns) this.endTurn();
+        this.resetTurn();
+        if (this.onend) this.onend();
+      };
+      this.recognition.onerror = (event) => {
+        if (this.onerror) this.onerror(event.error);
+      };
+    }
+
+    get lang() {
+      return this.recognition.lang;
+    }
+
+    set lang(value) {
+      this.recognition.lang = value;
+    }
+
+    start() {
+      this.recognition.start();
+      this.resetTurn();
+    }
+
+    stop() {
+      this.recognition.stop();
+    }
+
+    endTurn() {
+      const text = this.turnText.trim();
+      this.turnStart = this.resultCount;
+      this.turnText = '';
+      if (text && this.onresult) this.onresult(text);
+    }
+
+    resetTurn() {
+      this.turnStart = 0;
+      this.resultCount = 0;
+      this.turnText = '';
+    }
+  }
+
+  // Adapter that records the cached mic stream with MediaRecorder, cuts it into
+  // utterances with the VAD and hands each one to `transcribe` (e.g. a Whisper server)
+  class RecorderRecognizer {
+    static isSupported() {
+      return typeof window.MediaRecorder !== 'undefined' &&
+        typeof (window.AudioContext || window.webkitAudioContext) !== 'undefined';
+    }
+
+    constructor({ stream, audioContext, lang, transcribe, vadOptions = {} }) {
+      this.stream = stream;
+      this.audioContext = audioContext;
+      this.vadOptions = vadOptions;
+      this.lang = lang;
+      this.transcribe = transcribe;
+      this.active = false;
+      this.recorder = null;
+      this.heardSpeech = false;
+      this.idleTimer = null;
+      this.maxUtteranceMs = 30000;
+      this.maxIdleMs = 10000; // drop recordings that only contain silence
+      this.onresult = null;
+      this.onend = null;
+      this.onerror = null;
+    }
+
+    start() {
+      if (this.active) throw new Error('Recognizer already started');
+      this.active = true;
+      if (this.audioContext.state === 'suspended') this.audioContext.resume();
+
+      this.vad = new VoiceActivityDetector(this.stream, this.audioContext, this.vadOptions);
+      this.vad.onspeechstart = () => {
+        this.heardSpeech = true;
+      };
+      this.vad.onspeechend = () => this.cutSegment();
+      this.vad.start();
+      this.startRecorder();
+    }
+
+    stop() {
+      if (!this.active) return;
+      this.active = false;
+      this.vad.stop();
+      this.cutSegment();
+      // Fire asynchronously like the Web Speech API so callers can update state first
+      setTimeout(() => {
+        if (this.onend) this.onend();
+      }, 0);
+    }
+
+    startRecorder() {
+      const chunks = [];
+      const recorder = new MediaRecorder(this.stream);
+      this.recorder = recorder;
+      this.heardSpeech = false;
+
+      recorder.ondataavailable = (event) => {
+        if (event.data && event.data.size) chunks.push(event.data);
+      };
+      recorder.onstop = () => {
+        const keep = recorder.keepSegment;
+        if (this.active) this.startRecorder();
+        if (keep && chunks.length) {
+          this.sendSegment(new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }));
+        }
+      };
+      recorder.start();
+      this.segmentStartedAt = Date.now();
+
+      clearTimeout(this.idleTimer);
+      this.idleTimer = setTimeout(() => this.cutSegment(), this.maxIdleMs);
+    }
+
+    // Finish the current recording; it is only transcribed if it contained speech
+    cutSegment() {
+      const recorder = this.recorder;
+      if (!recorder || recorder.state === 'inactive') return;
+      clearTimeout(this.idleTimer);
+
+      const elapsed = Date.now() - this.segmentStartedAt;
+      if (this.active && this.vad.speaking && elapsed < this.maxUtteranceMs) {
+        // Still talking: check back instead of cutting mid-word
+        this.idleTimer = setTimeout(() => this.cutSegment(), this.maxUtteranceMs - elapsed);
+        return;
+      }
+      recorder.keepSegment = this.heardSpeech;
+      this.recorder = null;
+      recorder.stop();
+    }
+
+    async sendSegment(blob) {
+      try {
+        const transcript = (await this.transcribe(blob, this.lang) || '').trim();
+        if (transcript && this.onresult) this.onresult(transcript);
+      } catch (e) {
+        error('Transcription failed:', e);
+        // Like the Web Speech API: the session ends after an error (onerror, then onend),
+        // so the adapter can be started again
+        if (this.active) this.stop();
+        if (this.onerror) this.onerror('network');
+      }
+    }
+  }
+
+  // Minimal Markdown renderer for assistant bubbles. It builds DOM nodes directly
+  // (never innerHTML), so model output can't inject markup or scripts. _emphasis_
+  // captures the character before it instead of a lookbehind, for Safari before 16.4.
+  const INLINE_MARKDOWN = /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)|\*\*([\s\S]+?)\*\*|__([\s\S]+?)__|\*([^*\s][^*]*?)\*|(^|[^\w])_([^_\s][^_]*?)_(?![\w])|\[([^\]]+)\]\(([^()\s]+(?:\([^()\s]*\)[^()\s]*)?)(?:\s+"[^"]*")?\)|(https?:\/\/[^\s<]*[^\s<.,:;"')\]!?])/g;
+
+  // Rendered into the target element rather than floating over the page
+  const isInlineLayout = ({ target, layout }) => Boolean(target) && ['auto', 'inline'].includes(layout);
+
+  // Elapsed call time as m:ss, or h:mm:ss from an hour on
+  const formatDuration = (ms) => {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    const pad = (value) => String(value).padStart(2, '0');
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds / 60) % 60;
+    return hours
+      ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}`
+      : `${minutes}:${pad(seconds % 60)}`;
+  };
+
+  const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+  };
+
+  // What history and the backend see of an attachment: file details plus the
+  // { id, url } returned by the upload endpoint
+  const attachmentReference = ({ file, ref }) => ({
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    ...(ref || {})
+  });
+
+  const safeUrl = (url) => {
+    try {
+      const parsed = new URL(url, window.location.href);
+      return ['http:', 'https:', 'mailto:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  function createLink(href, label, plain = false) {
+    const link = document.createElement('a');
+    link.href = href;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    if (plain) {
+      link.textContent = label;
+    } else {
+      appendInlineMarkdown(link, label);
+    }
+    return link;
+  }
+
+  function appendInlineMarkdown(parent, text) {
+    const pattern = new RegExp(INLINE_MARKDOWN.source, 'g');
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const [whole, , code, strong, strongAlt, em, emPrefix = '', emAlt, label, href, bareUrl] = match;
+      // The character before _emphasis_ is plain text
+      const start = match.index + emPrefix.length;
+      if (start > lastIndex) {
+        parent.appendChild(document.createTextNode(text.slice(lastIndex, start)));
+      }
+      lastIndex = pattern.lastIndex;
+
+      if (code !== undefined) {
+        const node = document.createElement('code');
+        node.textContent = code.trim();
+        parent.appendChild(node);
+      } else if (strong !== undefined || strongAlt !== undefined) {
+        const node = document.createElement('strong');
+        appendInlineMarkdown(node, strong ?? strongAlt);
+        parent.appendChild(node);
+      } else if (em !== undefined || emAlt !== undefined) {
+        const node = document.createElement('em');
+        appendInlineMarkdown(node, em ?? emAlt);
+        parent.appendChild(node);
+      } else if (label !== undefined) {
+        const url = safeUrl(href);
+        if (url) {
+          parent.appendChild(createLink(url, label));
+        } else {
+          appendInlineMarkdown(parent, label);
+        }
+      } else if (bareUrl !== undefined && safeUrl(bareUrl)) {
+        parent.appendChild(createLink(safeUrl(bareUrl), bareUrl, true));
+      } else {
+        parent.appendChild(document.createTextNode(whole));
+      }
+    }
+
+    if (lastIndex < text.length) {
+      parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+  }
+
+  function createCodeBlock(code, language, labels) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'md-code';
+
+    const copyBtn = document.createElement('button');
+    copyBtn.type = 'button';
+    copyBtn.className = 'md-copy-btn';
+    copyBtn.textContent = labels.copy;
+    copyBtn.addEventListener('click', () => {
+      if (!navigator.clipboard) return;
+      navigator.clipboard.writeText(code).then(() => {
+        copyBtn.textContent = labels.copied;
+        setTimeout(() => {
+          copyBtn.textContent = labels.copy;
+        }, 1500);
+      }).catch(e => error('Copy failed:', e));
+    });
+
+    const pre = document.createElement('pre');
+    const codeEl = document.createElement('code');
+    if (language) codeEl.dataset.lang = language;
+    codeEl.textContent = code;
+    pre.appendChild(codeEl);
+
+    wrapper.appendChild(copyBtn);
+    wrapper.appendChild(pre);
+    return wrapper;
+  }
+
+  function renderMarkdown(text, labels = { copy: 'Copy', copied: 'Copied!' }) {
+    const fragment = document.createDocumentFragment();
+    const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      // Fenced code; an unterminated fence (still streaming) runs to the end
+      const fence = line.match(/^\s*```\s*([\w+-]*)\s*$/);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) code.push(lines[i++]);
+        i++;
+        fragment.appendChild(createCodeBlock(code.join('\n'), fence[1], labels));
+        continue;
+      }
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const heading = line.match(/^\s*#{1,6}\s+(.*)$/);
+      if (heading) {
+        const node = document.createElement('p');
+        node.className = 'md-heading';
+        appendInlineMarkdown(node, heading[1]);
+        fragment.appendChild(node);
+        i++;
+        continue;
+      }
+
+      const listItem = /^\s*(?:[-*+]|(\d+)[.)])\s+(.*)$/;
+      const firstItem = line.match(listItem);
+      if (firstItem) {
+        const list = document.createElement(firstItem[1] ? 'ol' : 'ul');
+        if (firstItem[1] && firstItem[1] !== '1') list.start = Number(firstItem[1]);
+        let item;
+        while (i < lines.length && (item = lines[i].match(listItem)) && Boolean(item[1]) === Boolean(firstItem[1])) {
+          const li = document.createElement('li');
+          appendInlineMarkdown(li, item[2]);
+          list.appendChild(li);
+          i++;
+        }
+        fragment.appendChild(list);
+        continue;
+      }
+
+      if (/^\s*>/.test(line)) {
+        const quote = document.createElement('blockquote');
+        const quoted = [];
+        while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+        appendInlineMarkdown(quote, quoted.join(' '));
+        fragment.appendChild(quote);
+        continue;
+      }
+
+      // Paragraph: consecutive plain lines, keeping single line breaks
+      const paragraph = document.createElement('p');
+      const paragraphLines = [];
+      while (i < lines.length && lines[i].trim() && !/^\s*(```|#{1,6}\s|>|[-*+]\s|\d+[.)]\s)/.test(lines[i])) {
+        paragraphLines.push(lines[i++]);
+      }
+      if (!paragraphLines.length) paragraphLines.push(lines[i++]);
+      paragraphLines.forEach((paragraphLine, index) => {
+        if (index) paragraph.appendChild(document.createElement('br'));
+        appendInlineMarkdown(paragraph, paragraphLine);
+      });
+      fragment.appendChild(paragraph);
+    }
+
+    return fragment;
+  }
+
+  // Plain text for TTS: code blocks are dropped and the rest loses its syntax characters
+  function stripMarkdown(text) {
+    return String(text)
+      .replace(/```[\s\S]*?(```|$)/g, ' ')
+      .replace(/`([^`]*)`/g, '$1')
+      .replace(/!?\[([^\]]*)\]\([^()]*(?:\([^()]*\)[^()]*)?\)/g, '$1')
+      .replace(/^\s*#{1,6}\s+/gm, '')
+      .replace(/^\s*>\s?/gm, '')
+      .replace(/^\s*(?:[-*+]|\d+[.)])\s+/gm, '')
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|[^\w*])[*_]([^*_\s][^*_]*?)[*_](?=[^\w*]|$)/g, '$1$2')
+      .replace(/[ \t]+/g, ' ')
+      .trim();
+  }
+
+  // Lower-cased words without punctuation, for comparing transcripts
+  const normalizeWords = (text) => String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  // Matches the end of a sentence (or a line break) followed by whitespace,
+  // used to hand complete sentences to TTS while a reply is still streaming
+  const SENTENCE_END = /[.!?\u2026]+["')\]]*\s+|\n+/g;
+
   // Widget class
   class AIVoiceWidget {
     constructor(config) {
       this.config = { ...CONFIG, ...config };
+      if (this.config.debug) debugInstances.add(this);
+      // Rendered into a host element instead of floating over the page
+      this.isInline = isInlineLayout(this.config);
+      if (this.config.layout === 'inline' && !this.config.target) {
+        error('layout "inline" needs a target element; using the floating layout');
+      }
+      // Floating panel state the user chose: { expanded, width, height }
+      this.layoutState = this.loadLayoutState();
+      this.mobileQuery = null;
+      this.onMobileChange = () => this.applyLayout();
+      this.reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+      this.lastFocused = null;
       this.sessionId = this.generateSessionId();
       this.history = [];
       this.isRecording = false;
@@ -44,10 +1364,84 @@
       this.ignoreRecognitionForTTS = false;
       this.recognition = null;
       this.synthesis = null;
+      this.audioContext = null;
+      // Bumped whenever speech is cancelled so stale utterance callbacks are ignored
+      this.speechGeneration = 0;
+      this.pendingUtterances = 0;
+      // Server TTS playback queue; each item resolves to an audio src
+      this.audioQueue = [];
+      this.audioPlaying = false;
+      this.audioPlayer = null; // routed through outputAnalyser
+      this.directAudioPlayer = null; // for audio Web Audio may not read
+      this.analysingOutput = false;
+      this.stopCurrentAudio = null;
+      // Barge-in state: VAD watching the mic during TTS and what we said recently
+      this.bargeInDetector = null;
+      this.recentSpeech = '';
+      this.recentSpeechAt = 0;
+      // Messages waiting for the current request to finish or for the network to return
+      this.outbox = [];
+      // { controller, stopped } for the chat request in flight
+      this.activeRequest = null;
+      // Host-registered tools the assistant may call: name -> { handler, description, parameters, confirm }
+      this.tools = new Map();
+      // Files picked for the next message: { file, previewUrl }
+      this.pendingAttachments = [];
+      // Live agent session: { socket, status, position, agentName, opened, queue }
+      this.handoff = null;
+      // Hidden iframe of the transcript being printed, removed on afterprint
+      this.printFrame = null;
+      // Session the closing survey was last shown for (once per conversation)
+      this.surveyedSession = null;
+      this.survey = null; // { element, trigger } while the survey is open
+      // Proactive triggers: listener removers, ids already fired this browser session and
+      // the greeting behind the visible teaser
+      this.triggerCleanups = [];
+      this.firedTriggers = this.loadFiredTriggers();
+      this.teaserGreeting = null;
+      this.unreadCount = 0;
+      // Page text quoted with "Ask about this", sent with the next message
+      this.pendingSelection = null;
+      this.onPageSelection = () => setTimeout(() => this.showSelectionAction(), 0);
+      this.onSelectionChange = () => {
+        if (!this.getPageSelection()) this.hideSelectionAction();
+      };
+      this.onPageScroll = () => this.hideSelectionAction();
+      this.onOnline = () => {
+        log('Back online, flushing queued messages');
+        this.processOutbox();
+      };
+      // Call bar state while a call is up: { startedAt, muted, held, historyStart, timer }
+      this.call = null;
+      this.speakerOn = true; // TTS on or off, kept between calls
+      // Live call audio: mic VAD/level meter, TTS output analyser and the render loop
+      this.micMonitor = null;
+      this.outputAnalyser = null;
+      this.visualizerFrame = null;
+      this.visualLevel = 0;
       // Hold an open microphone stream so the browser only asks permission once
       this.micStream = null;
       this.shadowRoot = null;
+      this.host = null;
       this.activeTab = 'chat';
+      // Host page event subscribers, keyed by event name
+      this.listeners = {};
+      this.destroyed = false;
+      this.isOpen = false;
+      // prefers-color-scheme watcher while the theme is 'auto'
+      this.colorSchemeQuery = null;
+      this.onColorSchemeChange = () => this.applyTheme();
+      // Translation key of the call status line, so it can be re-rendered on language change
+      this.statusKey = 'tapToStart';
+      this.voice = null;
+      this.onVoicesChanged = () => this.selectVoice();
+      // Cached session token ({ value, expiresAt }) and the in-flight refresh, if any.
+      // Never log these.
+      this.authToken = null;
+      this.tokenRequest = null;
+      this.storage = this.config.storage
+        ? createStorage(this.config.storage, this.config.storageKey)
+        : null;
 
       this.init();
     }
@@ -57,7 +1451,10 @@
     async prewarmMic() {
       try {
         if (!this.micStream) {
-          this.micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+          // Browser echo cancellation keeps our own TTS out of the mic, which barge-in relies on
+          this.micStream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+          });
           log('Microphone stream acquired and cached');
         }
       } catch (e) {
@@ -79,9 +1476,41 @@
         this.recognition = null;
       }
 
-      if (this.synthesis) {
-        this.synthesis.cancel();
+      this.stopSpeaking({ resume: false });
+      this.stopAudioMonitor();
+
+      if (this.audioContext) {
+        this.audioContext.close().catch(() => {});
+        this.audioContext = null;
+      }
+
+      if (this.colorSchemeQuery) {
+        this.colorSchemeQuery.removeEventListener('change', this.onColorSchemeChange);
+        this.colorSchemeQuery = null;
+      }
+
+      if (this.mobileQuery) {
+        this.mobileQuery.removeEventListener('change', this.onMobileChange);
+        this.mobileQuery = null;
       }
+      if (this.stopResize) this.stopResize();
+      this.stopTriggers();
+      this.stopSelectionAction();
+
+      if (this.synthesis && this.synthesis.removeEventListener) {
+        this.synthesis.removeEventListener('voiceschanged', this.onVoicesChanged);
+      }
+
+      window.removeEventListener('online', this.onOnline);
+      // Aborting also declines a tool confirmation the request is waiting on
+      if (this.activeRequest) this.activeRequest.controller.abort();
+      this.outbox.forEach(entry => this.releaseAttachments(entry.attachments || []));
+      this.outbox = [];
+      this.releaseAttachments(this.pendingAttachments);
+      this.pendingAttachments = [];
+      if (this.handoff) this.endHandoff('user', { silent: true });
+      if (this.call) clearInterval(this.call.timer);
+      this.call = null;
 
       this.shouldKeepListening = false;
       this.isRecording = false;
@@ -90,80 +1519,388 @@
       this.ignoreRecognitionForTTS = false;
     }
 
-    generateSessionId() {
-      return 'session_' + Math.random().toString(36).substr(2, 9);
+    // Subscribe to widget events; returns a function that unsubscribes
+    on(event, handler) {
+      if (typeof handler !== 'function') return () => {};
+      (this.listeners[event] = this.listeners[event] || []).push(handler);
+      return () => this.off(event, handler);
     }
 
-    async init() {
-      log('Starting widget initialization...');
+    off(event, handler) {
+      const handlers = this.listeners[event];
+      if (!handlers) return;
+      this.listeners[event] = handler ? handlers.filter(h => h !== handler) : [];
+    }
 
-      this.createShadowDOM();
-      log('Shadow DOM created');
+    emit(event, detail = {}) {
+      (this.listeners[event] || []).slice().forEach(handler => {
+        try {
+          handler(detail);
+        } catch (e) {
+          error(`Error in "${event}" listener:`, e);
+        }
+      });
+    }
 
-      // Obtain mic permission up-front and setup speech recognition
-      try {
-        await this.prewarmMic();
-        this.setupSpeechRecognition();
-        log('Speech recognition setup complete');
-      } catch (e) {
-        error('Failed to initialize microphone:', e);
-        // Continue without voice features
+    setConfig(options = {}) {
+      // The host element is mounted once, so it can't move or switch between inline and floating
+      if ('target' in options || 'layout' in options) {
+        const { target, ...rest } = options;
+        if ('target' in options && target !== this.config.target) {
+          error('target can only be set when the widget is created');
+        }
+        options = rest;
+        if (isInlineLayout({ ...this.config, ...options }) !== this.isInline) {
+          error(`layout "${options.layout}" would switch between inline and floating, which is only possible when the widget is created`);
+          delete options.layout;
+        }
+      }
+      // Theme options go through setTheme, which needs the current tokens to remove them
+      const { theme, themeTokens } = this.config;
+      this.config = { ...this.config, ...options, theme, themeTokens };
+      if ('debug' in options) {
+        if (this.config.debug) debugInstances.add(this);
+        else debugInstances.delete(this);
+      }
+      if ('mobileBreakpoint' in options) this.watchMobileBreakpoint();
+      // Drop the cached token when its source changes
+      if ('tokenEndpoint' in options || 'getToken' in options) {
+        this.authToken = null;
+        this.tokenRequest = null;
+      }
+      if ('pageContext' in options && this.elements) this.startSelectionAction();
+      if ('handoffUrl' in options) this.renderHandoffBanner();
+      if (['layout', 'position', 'width', 'height', 'zIndex', 'mobileFullscreen', 'expandable', 'resizable']
+        .some(key => key in options)) this.applyLayout();
+      if ('theme' in options || 'themeTokens' in options) {
+        this.setTheme(options.theme ?? theme, 'themeTokens' in options ? options.themeTokens : undefined);
       }
+      if ('lang' in options || 'voice' in options || 'translations' in options) {
+        this.setLanguage(this.config.lang);
+      }
+      log('Config updated:', Object.keys(options));
+    }
 
-      this.setupSpeechSynthesis();
-      log('Speech synthesis setup complete');
-      this.bindEvents();
-      log('Events bound');
-      this.addWelcomeMessage();
-      log('Widget fully initialized and should be visible');
+    t(key) {
+      const lang = this.config.lang;
+      const base = lang.split('-')[0];
+      const overrides = this.config.translations || {};
+      const pick = (table) => table && (table[lang]?.[key] ?? table[base]?.[key]);
+      return pick(overrides) ?? pick(TRANSLATIONS) ?? TRANSLATIONS.en[key] ?? key;
     }
 
-    createShadowDOM() {
-      // Create widget container
-      const container = document.createElement('div');
-      container.id = 'ai-voice-widget';
+    // BCP 47 tag for recognition and synthesis, e.g. 'es' -> 'es-ES'
+    getSpeechLang() {
+      const lang = this.config.lang;
+      return lang.includes('-') ? lang : (SPEECH_LOCALES[lang] || lang);
+    }
 
-      // Create shadow DOM
-      this.shadowRoot = container.attachShadow({ mode: 'closed' });
+    setLanguage(lang) {
+      if (!lang || typeof lang !== 'string') return;
+      const changed = lang !== this.config.lang;
+      this.config.lang = lang;
 
-      // Add styles
-      this.shadowRoot.innerHTML = `
-        <style>
-          :host {
-            position: fixed;
-            bottom: 30px;
-            right: 30px;
-            z-index: 10000;
-            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            --primary-gradient: linear-gradient(135deg, #6366f1 0%, #a855f7 100%);
-            --glass-bg: rgba(255, 255, 255, 0.65);
-            --glass-border: rgba(255, 255, 255, 0.5);
-            --glass-shadow: 0 8px 32px 0 rgba(31, 38, 135, 0.15);
-            --blur: blur(16px);
-            --text-color: #1f2937;
-            --chat-bg: #ffffff;
-            --user-msg-bg: linear-gradient(135deg, #6366f1, #8b5cf6);
-            --ai-msg-bg: #f3f4f6;
-          }
+      if (this.recognition) this.recognition.lang = this.getSpeechLang();
+      this.selectVoice();
+      this.applyTranslations();
+      this.renderHandoffBanner();
 
-          /* Dark Mode Variables */
-          :host(.dark) {
-            --glass-bg: rgba(30, 41, 59, 0.8);
-            --glass-border: rgba(255, 255, 255, 0.1);
-            --text-color: #f8fafc;
-            --chat-bg: #0f172a;
-            --ai-msg-bg: #334155;
-          }
-          
-          .widget-container {
-            background: var(--glass-bg);
-            backdrop-filter: var(--blur);
-            -webkit-backdrop-filter: var(--blur);
-            border: 1px solid var(--glass-border);
+      if (changed) {
+        log('Language changed to', lang);
+        this.emit('languagechange', { lang });
+      }
+    }
+
+    // Re-render static UI strings marked with data-i18n attributes
+    applyTranslations() {
+      if (!this.shadowRoot) return;
+      this.shadowRoot.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = this.t(el.dataset.i18n);
+      });
+      this.shadowRoot.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = this.t(el.dataset.i18nPlaceholder);
+      });
+      this.shadowRoot.querySelectorAll('[data-i18n-label]').forEach(el => {
+        el.setAttribute('aria-label', this.t(el.dataset.i18nLabel));
+      });
+      this.shadowRoot.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = this.t(el.dataset.i18nTitle);
+      });
+      if (this.elements) {
+        this.setStatus(this.statusKey);
+        this.renderUnreadBadge();
+      }
+    }
+
+    setStatus(key) {
+      this.statusKey = key;
+      this.elements.statusText.textContent = this.t(key);
+    }
+
+    // Prefer the configured voice, then an exact locale match, then the same language
+    selectVoice() {
+      if (!this.synthesis || !this.synthesis.getVoices) return;
+      const voices = this.synthesis.getVoices();
+      const speechLang = this.getSpeechLang().toLowerCase();
+      const base = speechLang.split('-')[0];
+      const matchesLang = (voice) => (voice.lang || '').toLowerCase().replace('_', '-').startsWith(base);
+
+      this.voice =
+        voices.find(v => this.config.voice && (v.name === this.config.voice || v.voiceURI === this.config.voice) && matchesLang(v)) ||
+        voices.find(v => (v.lang || '').toLowerCase().replace('_', '-') === speechLang) ||
+        voices.find(matchesLang) ||
+        null;
+      if (this.voice) log('Using voice:', this.voice.name);
+    }
+
+    // Switch between 'light', 'dark' and 'auto' and optionally override CSS tokens
+    setTheme(theme = 'light', tokens) {
+      if (!['light', 'dark', 'auto'].includes(theme)) {
+        error(`Unknown theme "${theme}", falling back to light`);
+        theme = 'light';
+      }
+      this.config.theme = theme;
+
+      if (this.colorSchemeQuery) {
+        this.colorSchemeQuery.removeEventListener('change', this.onColorSchemeChange);
+        this.colorSchemeQuery = null;
+      }
+      if (theme === 'auto' && window.matchMedia) {
+        this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        this.colorSchemeQuery.addEventListener('change', this.onColorSchemeChange);
+      }
+
+      if (tokens !== undefined) {
+        this.applyThemeTokens(this.config.themeTokens, tokens);
+        this.config.themeTokens = tokens;
+      }
+      this.applyTheme();
+    }
+
+    applyTheme() {
+      if (!this.host) return;
+      const dark = this.config.theme === 'dark' ||
+        Boolean(this.config.theme === 'auto' && this.colorSchemeQuery && this.colorSchemeQuery.matches);
+      this.host.classList.toggle('dark', dark);
+      this.emit('themechange', { theme: this.config.theme, dark });
+    }
+
+    // Inline custom properties on the host beat the :host defaults in the shadow styles
+    applyThemeTokens(previous, tokens) {
+      const toProperty = (name) => name.startsWith('--')
+        ? name
+        : '--' + name.replace(/[A-Z]/g, char => '-' + char.toLowerCase());
+
+      Object.keys(previous || {}).forEach(name => this.host.style.removeProperty(toProperty(name)));
+      Object.entries(tokens || {}).forEach(([name, value]) => {
+        this.host.style.setProperty(toProperty(name), String(value));
+      });
+    }
+
+    // Tear down the widget completely; the instance cannot be reused afterwards
+    destroy() {
+      if (this.destroyed) return;
+      this.cleanup();
+      this.destroyed = true;
+      if (this.printFrame) this.printFrame.remove();
+      if (this.host) {
+        this.host.remove();
+        this.host = null;
+      }
+      this.emit('destroy');
+      this.listeners = {};
+      log('Widget destroyed');
+      debugInstances.delete(this);
+    }
+
+    // Restore a saved conversation; returns true when one was found
+    async restoreSession() {
+      if (!this.storage) return false;
+
+      try {
+        const state = await this.storage.load();
+        if (!state || !Array.isArray(state.history)) return false;
+
+        if (Date.now() - (state.updatedAt || 0) > this.config.storageTtl) {
+          log('Saved conversation expired');
+          await this.storage.clear();
+          return false;
+        }
+
+        this.sessionId = state.sessionId || this.sessionId;
+        this.history = state.history;
+        // Tool calls and results only exist for the backend
+        this.history
+          .forEach((entry, index) => {
+            if (entry.role === 'call' && entry.call) this.renderCallSummary(entry.call);
+            if (entry.role !== 'user' && entry.role !== 'assistant') return;
+            if (entry.content || entry.attachments) {
+              const bubble = this.addMessage(entry.content, entry.agent ? 'agent' : entry.role);
+              if (entry.selection) this.renderSelectionQuote(bubble, entry.selection);
+              if (entry.attachments) this.renderAttachments(bubble, entry.attachments);
+              if (entry.role === 'assistant' && entry.content) this.addFeedbackControls(bubble, index);
+            }
+            if (entry.buttons || entry.cards) {
+              this.renderRichContent({ buttons: entry.buttons || [], cards: entry.cards || [] });
+            }
+          });
+        // Restoring happens on page load; don't pull focus into the widget
+        if (state.isOpen) this.openWidget({ focus: false });
+        log('Conversation restored:', this.history.length, 'messages');
+        return this.history.length > 0;
+      } catch (e) {
+        error('Failed to restore conversation:', e);
+        return false;
+      }
+    }
+
+    persistSession() {
+      if (!this.storage || this.destroyed) return;
+
+      this.storage.save({
+        sessionId: this.sessionId,
+        history: this.history,
+        isOpen: this.isOpen,
+        updatedAt: Date.now()
+      }).catch(e => error('Failed to save conversation:', e));
+    }
+
+    // Drop the current transcript and start over with a fresh session id
+    newConversation() {
+      // Nothing from the old conversation may still arrive or be sent afterwards
+      this.stopGenerating();
+      this.stopSpeaking();
+      this.outbox.forEach(entry => this.releaseAttachments(entry.attachments || []));
+      this.outbox = [];
+      this.releaseAttachments(this.pendingAttachments);
+      this.pendingAttachments = [];
+      this.renderAttachmentTray();
+      this.clearSelectionContext();
+      if (this.survey) this.finishSurvey(null);
+      if (this.handoff) this.endHandoff('user', { silent: true });
+
+      this.history = [];
+      this.sessionId = this.generateSessionId();
+      this.elements.chatContainer.innerHTML = '';
+      if (this.storage) {
+        this.storage.clear().catch(e => error('Failed to clear conversation:', e));
+      }
+
+      this.addWelcomeMessage();
+      this.persistSession();
+      this.emit('newconversation', { sessionId: this.sessionId });
+      log('Started new conversation:', this.sessionId);
+    }
+
+    generateSessionId() {
+      return 'session_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    async init() {
+      log('Starting widget initialization...');
+
+      this.createShadowDOM();
+      log('Shadow DOM created');
+      this.setTheme(this.config.theme, this.config.themeTokens);
+
+      // Obtain mic permission up-front and setup speech recognition
+      try {
+        await this.prewarmMic();
+        this.setupSpeechRecognition();
+        log('Speech recognition setup complete');
+      } catch (e) {
+        error('Failed to initialize microphone:', e);
+        // Continue without voice features
+      }
+
+      // destroy() may have been called while we waited for the microphone
+      if (this.destroyed) {
+        this.cleanup();
+        return;
+      }
+
+      this.setupSpeechSynthesis();
+      log('Speech synthesis setup complete');
+      this.bindEvents();
+      window.addEventListener('online', this.onOnline);
+      this.startSelectionAction();
+      log('Events bound');
+      const restored = await this.restoreSession();
+      if (this.destroyed) return;
+      if (!restored) this.addWelcomeMessage();
+      // Inline widgets are always open, without taking focus from the page
+      if (this.isInline) this.openWidget({ focus: false });
+      else this.startTriggers();
+      log('Widget fully initialized and should be visible');
+      this.emit('ready');
+    }
+
+    createShadowDOM() {
+      // Create widget container
+      const container = document.createElement('div');
+      container.id = this.config.id || 'ai-voice-widget';
+      container.classList.add('ai-voice-widget');
+      container.classList.toggle('inline', this.isInline);
+
+      // Create shadow DOM
+      this.shadowRoot = container.attachShadow({ mode: 'closed' });
+
+      // Add styles
+      this.shadowRoot.innerHTML = `
+        <style>
+          :host {
+            position: fixed;
+            bottom: 30px;
+            right: 30px;
+            z-index: var(--widget-z-index, 10000);
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            /* Colors keep white text and accents at WCAG AA contrast (4.5:1) */
+            --primary-gradient: linear-gradient(135deg, #4f46e5 0%, #9333ea 100%);
+            --glass-bg: rgba(255, 255, 255, 0.65);
+            --glass-border: rgba(255, 255, 255, 0.5);
+            --glass-shadow: 0 8px 32px 0 rgba(31, 38, 135, 0.15);
+            --blur: blur(16px);
+            --text-color: #1f2937;
+            --chat-bg: #ffffff;
+            --user-msg-bg: linear-gradient(135deg, #4f46e5, #7c3aed);
+            --ai-msg-bg: #f3f4f6;
+            --border-color: rgba(0, 0, 0, 0.08);
+            --control-bg: rgba(0, 0, 0, 0.05);
+            --control-hover-bg: rgba(0, 0, 0, 0.1);
+            --input-area-bg: rgba(255, 255, 255, 0.3);
+            --input-bg: rgba(255, 255, 255, 0.8);
+            --input-focus-bg: #ffffff;
+            --accent-color: #9333ea;
+            --error-color: #b91c1c;
+            --badge-bg: #b91c1c;
+          }
+
+          /* Dark Mode Variables */
+          :host(.dark) {
+            --glass-bg: rgba(30, 41, 59, 0.8);
+            --glass-border: rgba(255, 255, 255, 0.1);
+            --text-color: #f8fafc;
+            --chat-bg: #0f172a;
+            --ai-msg-bg: #334155;
+            --border-color: rgba(255, 255, 255, 0.12);
+            --control-bg: rgba(255, 255, 255, 0.08);
+            --control-hover-bg: rgba(255, 255, 255, 0.16);
+            --input-area-bg: rgba(15, 23, 42, 0.4);
+            --input-bg: rgba(15, 23, 42, 0.7);
+            --input-focus-bg: #0f172a;
+            --accent-color: #c084fc;
+            --error-color: #fca5a5;
+          }
+          
+          .widget-container {
+            background: var(--glass-bg);
+            backdrop-filter: var(--blur);
+            -webkit-backdrop-filter: var(--blur);
+            border: 1px solid var(--glass-border);
             border-radius: 24px;
             box-shadow: var(--glass-shadow);
-            width: 380px;
-            height: 500px;
+            width: var(--widget-width, 380px);
+            height: var(--widget-height, 500px);
             max-height: 80vh;
             display: flex;
             flex-direction: column;
@@ -184,16 +1921,135 @@
             pointer-events: all;
           }
 
-          /* Navigation Tabs */
-          .nav-tabs {
+          /* Floating on the left */
+          :host(.bottom-left) {
+            right: auto;
+            left: 30px;
+          }
+
+          :host(.bottom-left) .widget-container {
+            right: auto;
+            left: 0;
+            transform-origin: bottom left;
+          }
+
+          :host(.bottom-left) .fab {
+            right: auto;
+            left: 30px;
+          }
+
+          /* Inline: fills the target element, always open, no FAB */
+          :host(.inline) {
+            position: relative;
+            display: block;
+            bottom: auto;
+            right: auto;
+            width: 100%;
+            height: 100%;
+            z-index: auto;
+          }
+
+          :host(.inline) .widget-container {
+            position: relative;
+            width: 100%;
+            height: 100%;
+            min-height: var(--widget-height, 500px);
+            max-height: none;
+            transition: none;
+          }
+
+          :host(.inline) .fab,
+          :host(.inline) .close-btn {
+            display: none;
+          }
+
+          /* Expanded: a larger floating panel */
+          :host(.expanded) .widget-container {
+            width: min(720px, calc(100vw - 60px));
+            height: calc(100vh - 60px);
+            max-height: none;
+          }
+
+          /* Resized by the user; the size itself is clamped to the viewport when dragging */
+          :host(.resized) .widget-container {
+            max-height: calc(100vh - 60px);
+          }
+
+          /* Full screen: the open panel covers the viewport */
+          :host(.fullscreen) .widget-container {
+            position: fixed;
+            top: 0;
+            right: 0;
+            bottom: 0;
+            left: 0;
+            width: auto;
+            height: auto;
+            max-height: none;
+            border: none;
+            border-radius: 0;
+          }
+
+          .resize-handle {
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 20px;
+            height: 20px;
+            padding: 0;
+            background: transparent;
+            border: none;
+            cursor: nwse-resize;
+            touch-action: none;
+            z-index: 25;
+          }
+
+          .resize-handle::before {
+            content: '';
+            position: absolute;
+            top: 6px;
+            left: 6px;
+            width: 8px;
+            height: 8px;
+            border-top: 2px solid var(--text-color);
+            border-left: 2px solid var(--text-color);
+            border-top-left-radius: 3px;
+            opacity: 0.4;
+          }
+
+          :host(.bottom-left) .resize-handle {
+            left: auto;
+            right: 0;
+            cursor: nesw-resize;
+          }
+
+          :host(.bottom-left) .resize-handle::before {
+            left: auto;
+            right: 6px;
+            border-left: none;
+            border-right: 2px solid var(--text-color);
+            border-top-left-radius: 0;
+            border-top-right-radius: 3px;
+          }
+
+          /* Header: tabs on the left, actions on the right */
+          .panel-header {
             display: flex;
-            padding: 16px 16px 0;
+            align-items: flex-start;
             gap: 12px;
-            border-bottom: 1px solid rgba(0,0,0,0.05);
+            padding: 16px 16px 0;
+            border-bottom: 1px solid var(--border-color);
             position: relative;
             z-index: 10;
           }
 
+          /* Navigation Tabs */
+          .nav-tabs {
+            flex: 1;
+            min-width: 0;
+            display: flex;
+            gap: 12px;
+          }
+
           .nav-tab {
             flex: 1;
             background: transparent;
@@ -202,7 +2058,7 @@
             font-size: 15px;
             font-weight: 600;
             color: var(--text-color);
-            opacity: 0.6;
+            opacity: 0.75;
             cursor: pointer;
             position: relative;
             transition: all 0.3s ease;
@@ -223,27 +2079,103 @@
             border-radius: 3px 3px 0 0;
           }
           
-          .close-btn {
-            position: absolute;
-            top: 16px;
-            right: 16px;
+          .header-actions {
+            display: flex;
+            flex-shrink: 0;
+            gap: 8px;
+          }
+
+          .header-btn {
             width: 32px;
             height: 32px;
             display: flex;
             align-items: center;
             justify-content: center;
-            background: rgba(0,0,0,0.05);
+            background: var(--control-bg);
             border: none;
             border-radius: 50%;
             cursor: pointer;
             font-size: 18px;
             color: var(--text-color);
             transition: background 0.2s;
-            z-index: 20;
           }
           
-          .close-btn:hover {
-            background: rgba(0,0,0,0.1);
+          .header-btn:hover {
+            background: var(--control-hover-bg);
+          }
+
+          .header-btn[hidden] {
+            display: none;
+          }
+
+          /* Transcript menu and email form */
+          .header-menu,
+          .email-form {
+            position: absolute;
+            top: 56px;
+            right: 16px;
+            z-index: 30;
+            background: var(--chat-bg);
+            color: var(--text-color);
+            border: 1px solid var(--border-color);
+            border-radius: 12px;
+            box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+            padding: 6px;
+          }
+
+          .header-menu {
+            display: flex;
+            flex-direction: column;
+            min-width: 200px;
+          }
+
+          .header-menu[hidden],
+          .email-form[hidden],
+          .header-menu button[hidden] {
+            display: none;
+          }
+
+          .header-menu button {
+            background: transparent;
+            border: none;
+            border-radius: 8px;
+            padding: 8px 12px;
+            text-align: left;
+            font-size: 14px;
+            color: inherit;
+            cursor: pointer;
+          }
+
+          .header-menu button:hover,
+          .header-menu button:focus-visible {
+            background: var(--control-bg);
+          }
+
+          .email-form {
+            display: flex;
+            gap: 6px;
+            width: 280px;
+          }
+
+          .email-form input {
+            flex: 1;
+            min-width: 0;
+            padding: 8px 12px;
+            border: 1px solid var(--border-color);
+            border-radius: 8px;
+            background: var(--input-bg);
+            color: var(--text-color);
+            font-size: 14px;
+          }
+
+          .email-form button {
+            border: none;
+            border-radius: 8px;
+            padding: 8px 14px;
+            font-weight: 600;
+            cursor: pointer;
+            background: var(--primary-gradient);
+            color: white;
           }
 
           /* Content Area */
@@ -303,777 +2235,4969 @@
             box-shadow: 0 4px 15px rgba(99, 102, 241, 0.25);
           }
 
-          .message.assistant {
+          .message.agent {
             background: var(--ai-msg-bg);
             color: var(--text-color);
             align-self: flex-start;
             border-bottom-left-radius: 4px;
+            border-left: 3px solid var(--accent-color);
           }
 
-          .input-area {
-            padding: 16px;
-            background: rgba(255,255,255,0.3);
-            display: flex;
-            gap: 10px;
-            align-items: center;
+          .notice {
+            align-self: center;
+            max-width: 90%;
+            text-align: center;
+            font-size: 12px;
+            color: var(--text-color);
+            opacity: 0.7;
           }
 
-          .message-input {
-            flex: 1;
-            padding: 12px 20px;
-            border: 1px solid rgba(0,0,0,0.08);
-            border-radius: 25px;
-            background: rgba(255,255,255,0.8);
-            font-size: 14px;
+          .call-summary {
+            align-self: center;
+            max-width: 90%;
+            padding: 10px 16px;
+            border: 1px solid var(--border-color);
+            border-radius: 14px;
+            background: var(--control-bg);
             color: var(--text-color);
-            transition: all 0.3s;
+            font-size: 13px;
+            text-align: center;
           }
 
-          .message-input:focus {
-            outline: none;
-            border-color: #a855f7;
-            background: white;
-            box-shadow: 0 0 0 4px rgba(168, 85, 247, 0.1);
+          .call-summary-title {
+            font-weight: 600;
           }
 
-          .icon-btn {
-            width: 44px;
-            height: 44px;
-            border: none;
-            border-radius: 50%;
-            cursor: pointer;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            font-size: 18px;
-            transition: all 0.2s;
-            background: var(--primary-gradient);
-            color: white;
-            box-shadow: 0 4px 12px rgba(168, 85, 247, 0.3);
+          .call-summary-detail {
+            margin-top: 2px;
           }
 
-          .icon-btn:hover {
-            transform: scale(1.05);
-            box-shadow: 0 6px 16px rgba(168, 85, 247, 0.4);
+          .call-summary-turns {
+            margin: 6px 0 0;
+            padding: 0;
+            list-style: none;
+            text-align: left;
+            opacity: 0.8;
           }
 
-          /* Call View Styles - Premium Redesign */
-          .call-view-content {
-            flex: 1;
+          .call-summary-turns li {
+            overflow: hidden;
+            white-space: nowrap;
+            text-overflow: ellipsis;
+          }
+
+          .handoff-banner {
             display: flex;
-            flex-direction: column;
             align-items: center;
-            justify-content: center;
-            background: linear-gradient(-45deg, #1e1b4b, #312e81, #4c1d95, #5b21b6);
-            background-size: 400% 400%;
-            animation: gradientBG 15s ease infinite;
+            justify-content: space-between;
+            gap: 10px;
+            padding: 8px 16px;
+            font-size: 13px;
+            color: var(--text-color);
+            background: var(--control-bg);
+            border-bottom: 1px solid var(--border-color);
+          }
+
+          .handoff-banner[hidden] {
+            display: none;
+          }
+
+          .handoff-end-btn {
+            border: 1px solid var(--border-color);
+            background: transparent;
+            color: inherit;
+            border-radius: 999px;
+            padding: 4px 12px;
+            font-size: 12px;
+            cursor: pointer;
+            flex-shrink: 0;
+          }
+
+          .message.assistant {
+            background: var(--ai-msg-bg);
+            color: var(--text-color);
+            align-self: flex-start;
+            border-bottom-left-radius: 4px;
+          }
+
+          /* Markdown inside assistant bubbles */
+          .message p,
+          .message ul,
+          .message ol,
+          .message blockquote {
+            margin: 0 0 8px;
+          }
+
+          .message > :last-child {
+            margin-bottom: 0;
+          }
+
+          .message ul,
+          .message ol {
+            padding-left: 20px;
+          }
+
+          .message .md-heading {
+            font-weight: 700;
+          }
+
+          .message blockquote {
+            padding-left: 10px;
+            border-left: 3px solid var(--border-color);
+            opacity: 0.85;
+          }
+
+          .message a {
+            color: inherit;
+            text-decoration: underline;
+            word-break: break-word;
+          }
+
+          .message code {
+            font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+            font-size: 0.9em;
+            background: var(--control-bg);
+            padding: 1px 5px;
+            border-radius: 4px;
+          }
+
+          .md-code {
             position: relative;
-            z-index: 1;
+            margin: 0 0 8px;
           }
-          
-          @keyframes gradientBG {
-            0% { background-position: 0% 50%; }
-            50% { background-position: 100% 50%; }
-            100% { background-position: 0% 50%; }
+
+          .md-code pre {
+            margin: 0;
+            padding: 12px;
+            padding-top: 28px;
+            background: #1e1b4b;
+            color: #e0e7ff;
+            border-radius: 10px;
+            overflow-x: auto;
           }
-          
-          /* Ambient glowing orbs in background */
-          .call-view-content::before {
-            content: '';
+
+          .md-code pre code {
+            background: none;
+            padding: 0;
+            white-space: pre;
+          }
+
+          .md-copy-btn {
             position: absolute;
-            top: -20%;
-            left: -20%;
-            width: 140%;
-            height: 140%;
-            background: radial-gradient(circle at 50% 50%, rgba(99, 102, 241, 0.15), transparent 60%);
-            z-index: 0;
-            pointer-events: none;
+            top: 6px;
+            right: 6px;
+            border: none;
+            border-radius: 6px;
+            padding: 2px 8px;
+            font-size: 11px;
+            cursor: pointer;
+            background: rgba(255, 255, 255, 0.15);
+            color: #e0e7ff;
           }
 
-          .status-text {
-            font-size: 14px;
-            text-transform: uppercase;
-            letter-spacing: 2px;
-            font-weight: 600;
-            color: rgba(255, 255, 255, 0.9);
-            margin-top: 40px;
-            text-shadow: 0 2px 10px rgba(0,0,0,0.3);
-            z-index: 2;
+          .md-copy-btn:hover {
+            background: rgba(255, 255, 255, 0.25);
           }
 
-          .visualizer-container {
-            position: relative;
-            width: 200px;
-            height: 200px;
+          .input-area {
+            padding: 16px;
+            background: var(--input-area-bg);
             display: flex;
+            gap: 10px;
             align-items: center;
-            justify-content: center;
-            margin: 30px 0;
-            z-index: 2;
           }
 
-          /* Complex layered orb effect */
-          .visualizer-circle {
-            position: absolute;
-            border-radius: 50%;
-            background: transparent;
-            border: 2px solid rgba(255, 255, 255, 0.1);
-            box-shadow: 0 0 30px rgba(99, 102, 241, 0.1);
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
+          .message-input {
+            flex: 1;
+            padding: 12px 20px;
+            border: 1px solid var(--border-color);
+            border-radius: 25px;
+            background: var(--input-bg);
+            font-size: 14px;
+            color: var(--text-color);
+            transition: all 0.3s;
           }
-          
-          .visualizer-circle.animate {
-             animation: pulse-ring 2s cubic-bezier(0.25, 0.46, 0.45, 0.94) infinite;
+
+          .message-input::placeholder {
+            color: var(--text-color);
+            opacity: 0.7;
           }
 
-          .visualizer-circle:nth-child(1) { width: 100%; height: 100%; animation-delay: 0s; border-color: rgba(167, 139, 250, 0.3); }
-          .visualizer-circle:nth-child(2) { width: 75%; height: 75%; animation-delay: 0.3s; border-color: rgba(139, 92, 246, 0.4); }
-          .visualizer-circle:nth-child(3) { width: 50%; height: 50%; animation-delay: 0.6s; border-color: rgba(124, 58, 237, 0.5); }
+          .message-input:focus {
+            outline: none;
+            border-color: var(--accent-color);
+            background: var(--input-focus-bg);
+            box-shadow: 0 0 0 4px rgba(168, 85, 247, 0.1);
+          }
 
-          .main-mic-btn {
-            width: 90px;
-            height: 90px;
-            border-radius: 50%;
-            background: linear-gradient(135deg, #8b5cf6, #6366f1);
-            box-shadow: 
-              0 0 0 8px rgba(255, 255, 255, 0.05),
-              0 0 0 16px rgba(255, 255, 255, 0.02),
-              0 15px 35px rgba(0,0,0,0.3);
+          .icon-btn {
+            width: 44px;
+            height: 44px;
             border: none;
-            z-index: 5;
+            border-radius: 50%;
+            cursor: pointer;
             display: flex;
             align-items: center;
             justify-content: center;
-            font-size: 36px;
+            font-size: 18px;
+            transition: all 0.2s;
+            background: var(--primary-gradient);
             color: white;
-            cursor: pointer;
-            transition: all 0.4s cubic-bezier(0.175, 0.885, 0.32, 1.275);
-            position: relative;
-            overflow: hidden;
-          }
-          
-          /* Shine effect on button */
-          .main-mic-btn::before {
-            content: '';
-            position: absolute;
-            top: 0;
-            left: -100%;
-            width: 100%;
-            height: 100%;
-            background: linear-gradient(90deg, transparent, rgba(255,255,255,0.4), transparent);
-            transition: 0.5s;
-          }
-          
-          .main-mic-btn:hover::before {
-            left: 100%;
+            box-shadow: 0 4px 12px rgba(168, 85, 247, 0.3);
           }
 
-          .main-mic-btn:hover {
+          .icon-btn:hover {
             transform: scale(1.05);
-            box-shadow: 
-              0 0 0 10px rgba(255, 255, 255, 0.1),
-              0 0 0 20px rgba(255, 255, 255, 0.03),
-              0 20px 40px rgba(0,0,0,0.4);
+            box-shadow: 0 6px 16px rgba(168, 85, 247, 0.4);
           }
 
-          .main-mic-btn.active {
-            transform: scale(1.1);
-            background: linear-gradient(135deg, #ef4444, #f87171);
-            box-shadow: 0 0 50px rgba(239, 68, 68, 0.6);
-            animation: breathe 3s ease-in-out infinite;
+          .icon-btn[hidden] {
+            display: none;
           }
-          
-          @keyframes breathe {
-            0%, 100% { transform: scale(1.1); box-shadow: 0 0 30px rgba(239, 68, 68, 0.5); }
-            50% { transform: scale(1.15); box-shadow: 0 0 60px rgba(239, 68, 68, 0.8); }
+
+          .icon-btn.stop-btn {
+            font-size: 14px;
           }
-          
-          .call-controls {
+
+          .icon-btn.attach-btn {
+            background: var(--control-bg);
+            color: var(--text-color);
+            box-shadow: none;
+          }
+
+          /* Attachments */
+          .selection-context {
             display: flex;
-            gap: 30px;
-            margin-top: auto;
-            margin-bottom: 60px;
-            z-index: 2;
+            align-items: flex-start;
+            gap: 8px;
+            margin: 10px 16px 0;
+            padding: 8px 10px;
+            border-left: 3px solid var(--accent-color);
+            border-radius: 8px;
+            background: var(--control-bg);
+            color: var(--text-color);
+            font-size: 13px;
           }
 
-          .control-btn {
-            width: 50px;
-            height: 50px;
+          .selection-context[hidden] {
+            display: none;
+          }
+
+          .selection-label {
+            flex: none;
+            font-weight: 600;
+          }
+
+          .selection-text {
+            flex: 1;
+            overflow: hidden;
+            display: -webkit-box;
+            -webkit-line-clamp: 2;
+            -webkit-box-orient: vertical;
+          }
+
+          .selection-remove {
+            flex: none;
+            width: 20px;
+            height: 20px;
+            padding: 0;
+            background: transparent;
+            border: none;
             border-radius: 50%;
-            border: 1px solid rgba(255,255,255,0.1);
-            background: rgba(255,255,255,0.1);
-            backdrop-filter: blur(10px);
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            font-size: 20px;
+            color: inherit;
+            font-size: 15px;
+            line-height: 1;
             cursor: pointer;
-            transition: all 0.3s;
-            color: rgba(255,255,255,0.8);
           }
 
-          .control-btn.end-call {
-            background: rgba(239, 68, 68, 0.2);
-            border-color: rgba(239, 68, 68, 0.4);
-            color: #fca5a5;
-            width: 60px;
-            height: 60px;
-            font-size: 24px;
+          .selection-remove:hover {
+            background: var(--control-hover-bg);
           }
 
-          .control-btn:hover {
-            background: rgba(255,255,255,0.2);
-            transform: translateY(-5px);
-            color: white;
-          }
-          
-          .control-btn.end-call:hover {
-            background: rgba(239, 68, 68, 0.8);
-            color: white;
-            box-shadow: 0 10px 30px rgba(239, 68, 68, 0.4);
+          .message.user .selection-quote {
+            border-left-color: rgba(255, 255, 255, 0.7);
+            font-size: 13px;
           }
 
-          /* Floating Action Button (FAB) */
-          .fab {
+          /* "Ask about this" next to text selected on the page */
+          .ask-selection {
+            position: fixed;
+            z-index: 10002;
+            padding: 8px 14px;
             background: var(--primary-gradient);
-            width: 64px;
-            height: 64px;
-            border-radius: 32px;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            color: white;
-            font-size: 30px;
+            color: #ffffff;
             border: none;
+            border-radius: 18px;
+            box-shadow: 0 4px 16px rgba(31, 38, 135, 0.25);
+            font: inherit;
+            font-size: 13px;
+            font-weight: 600;
             cursor: pointer;
-            box-shadow: 0 8px 24px rgba(99, 102, 241, 0.4);
-            transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-            position: fixed;
-            bottom: 30px;
-            right: 30px;
-            z-index: 10001;
           }
 
-          .fab:hover {
-            transform: scale(1.1) rotate(5deg);
-            box-shadow: 0 12px 32px rgba(99, 102, 241, 0.5);
+          .ask-selection[hidden] {
+            display: none;
           }
-          
-          .fab.hidden {
-            transform: scale(0) rotate(-180deg);
-            opacity: 0;
-            pointer-events: none;
+
+          .attachment-tray {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            padding: 10px 16px 0;
+            background: var(--input-area-bg);
           }
 
-          @keyframes messageSlide {
-            from { opacity: 0; transform: translateY(10px); }
-            to { opacity: 1; transform: translateY(0); }
+          .attachment-tray[hidden] {
+            display: none;
           }
 
-          @keyframes pulse-ring {
-            0% { transform: scale(0.8); opacity: 0.5; }
-            100% { transform: scale(2.5); opacity: 0; }
+          .attachment {
+            position: relative;
+            border: 1px solid var(--border-color);
+            border-radius: 10px;
+            overflow: hidden;
+            background: var(--input-bg);
+            color: var(--text-color);
+            font-size: 12px;
+          }
+
+          .attachment img {
+            display: block;
+            width: 64px;
+            height: 64px;
+            object-fit: cover;
+          }
+
+          .attachment.file {
+            padding: 8px 28px 8px 10px;
+            max-width: 200px;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+          }
+
+          .attachment.file a {
+            color: inherit;
+          }
+
+          .attachment-remove {
+            position: absolute;
+            top: 2px;
+            right: 2px;
+            width: 20px;
+            height: 20px;
+            border: none;
+            border-radius: 50%;
+            background: rgba(0, 0, 0, 0.55);
+            color: white;
+            font-size: 13px;
+            line-height: 1;
+            cursor: pointer;
+          }
+
+          .attachment-error {
+            flex-basis: 100%;
+            font-size: 12px;
+            color: var(--error-color);
+          }
+
+          .message-attachments {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-top: 6px;
+          }
+
+          .message-attachments .attachment {
+            background: rgba(255, 255, 255, 0.2);
+            border-color: transparent;
+            color: inherit;
+          }
+
+          .message-attachments .attachment.file {
+            padding-right: 10px;
+          }
+
+          .upload-progress {
+            position: absolute;
+            left: 0;
+            bottom: 0;
+            height: 3px;
+            width: 0;
+            background: var(--accent-color);
+            transition: width 0.2s;
+          }
+
+          .upload-progress.done {
+            display: none;
+          }
+
+          .view.drag-over::after {
+            content: attr(data-drop-label);
+            position: absolute;
+            inset: 8px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            border: 2px dashed var(--accent-color);
+            border-radius: 16px;
+            background: var(--input-focus-bg);
+            color: var(--text-color);
+            font-weight: 600;
+            pointer-events: none;
+          }
+
+          /* Delivery state under user messages */
+          .message.user.queued {
+            opacity: 0.85;
+          }
+
+          .message-status {
+            align-self: flex-end;
+            display: flex;
+            gap: 8px;
+            align-items: center;
+            margin-top: -10px;
+            font-size: 12px;
+            color: var(--text-color);
+            opacity: 0.75;
+          }
+
+          .message-status.failed {
+            color: var(--error-color);
+            opacity: 1;
+          }
+
+          /* Quick replies, link buttons and cards */
+          .quick-replies,
+          .action-buttons {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            align-self: flex-start;
+            max-width: 100%;
+          }
+
+          .chip {
+            border: 1px solid var(--accent-color);
+            background: transparent;
+            color: var(--accent-color);
+            border-radius: 999px;
+            padding: 6px 14px;
+            font-size: 13px;
+            cursor: pointer;
+            transition: background 0.2s;
+          }
+
+          .chip:hover {
+            background: var(--control-bg);
+          }
+
+          .action-btn,
+          .card-action {
+            display: inline-block;
+            border: none;
+            border-radius: 10px;
+            padding: 8px 14px;
+            font-size: 13px;
+            font-weight: 600;
+            text-decoration: none;
+            cursor: pointer;
+            background: var(--primary-gradient);
+            color: white;
+          }
+
+          .cards {
+            display: flex;
+            gap: 10px;
+            overflow-x: auto;
+            align-self: stretch;
+            padding-bottom: 4px;
+          }
+
+          .card {
+            flex: 0 0 200px;
+            border: 1px solid var(--border-color);
+            border-radius: 14px;
+            overflow: hidden;
+            background: var(--ai-msg-bg);
+            color: var(--text-color);
+            display: flex;
+            flex-direction: column;
+          }
+
+          .card img {
+            width: 100%;
+            height: 110px;
+            object-fit: cover;
+            display: block;
+          }
+
+          .card-body {
+            padding: 10px 12px;
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+            flex: 1;
+          }
+
+          .card-title {
+            font-weight: 600;
+            font-size: 14px;
+          }
+
+          .card-text {
+            font-size: 13px;
+            opacity: 0.8;
+          }
+
+          .card-action {
+            margin-top: auto;
+            align-self: flex-start;
+          }
+
+          /* Reply feedback */
+          .feedback {
+            align-self: flex-start;
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 4px;
+            margin-top: -10px;
+            font-size: 12px;
+            color: var(--text-color);
+          }
+
+          .feedback-btn {
+            border: none;
+            background: transparent;
+            border-radius: 8px;
+            padding: 2px 6px;
+            font-size: 14px;
+            cursor: pointer;
+            opacity: 0.6;
+            transition: opacity 0.2s, background 0.2s;
+          }
+
+          .feedback-btn:hover,
+          .feedback-btn[aria-pressed="true"] {
+            opacity: 1;
+            background: var(--control-bg);
+          }
+
+          .feedback-form {
+            display: flex;
+            gap: 6px;
+            flex-basis: 100%;
+          }
+
+          .feedback-form input,
+          .survey textarea {
+            flex: 1;
+            min-width: 0;
+            padding: 6px 10px;
+            border: 1px solid var(--border-color);
+            border-radius: 8px;
+            background: var(--input-bg);
+            color: var(--text-color);
+            font: inherit;
+            font-size: 13px;
+          }
+
+          .feedback-form button,
+          .survey-submit {
+            border: none;
+            border-radius: 8px;
+            padding: 6px 12px;
+            font-size: 13px;
+            font-weight: 600;
+            cursor: pointer;
+            background: var(--primary-gradient);
+            color: white;
+          }
+
+          .feedback-form .feedback-skip,
+          .feedback-skip {
+            background: transparent;
+            color: var(--text-color);
+            border: 1px solid var(--border-color);
+            border-radius: 8px;
+            padding: 6px 12px;
+            font-size: 13px;
+            cursor: pointer;
+          }
+
+          /* Closing survey */
+          .survey {
+            position: absolute;
+            left: 16px;
+            right: 16px;
+            bottom: 16px;
+            z-index: 40;
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            padding: 16px;
+            border-radius: 16px;
+            border: 1px solid var(--border-color);
+            background: var(--chat-bg);
+            color: var(--text-color);
+            box-shadow: 0 12px 32px rgba(0, 0, 0, 0.2);
+          }
+
+          .survey-title {
+            font-weight: 600;
+            font-size: 15px;
+          }
+
+          .survey-stars {
+            display: flex;
+            gap: 6px;
+          }
+
+          .survey-star {
+            border: none;
+            background: transparent;
+            font-size: 26px;
+            line-height: 1;
+            cursor: pointer;
+            color: var(--border-color);
+            -webkit-text-stroke: 1px var(--text-color);
+          }
+
+          .survey-star.selected {
+            color: #f59e0b;
+          }
+
+          .survey-actions {
+            display: flex;
+            justify-content: flex-end;
+            gap: 8px;
+          }
+
+          .survey-submit:disabled {
+            opacity: 0.5;
+            cursor: not-allowed;
+          }
+
+          /* Tool call confirmation */
+          .tool-confirm {
+            align-self: stretch;
+            padding: 12px 14px;
+            border: 1px dashed var(--accent-color);
+            border-radius: 14px;
+            font-size: 13px;
+            color: var(--text-color);
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+          }
+
+          .tool-confirm.allowed,
+          .tool-confirm.denied {
+            opacity: 0.7;
+            border-style: solid;
+          }
+
+          .tool-confirm-actions {
+            display: flex;
+            gap: 8px;
+          }
+
+          .tool-btn {
+            border: none;
+            border-radius: 999px;
+            padding: 6px 14px;
+            font-size: 13px;
+            font-weight: 600;
+            cursor: pointer;
+            background: var(--control-bg);
+            color: var(--text-color);
+          }
+
+          .tool-btn.allow {
+            background: var(--primary-gradient);
+            color: white;
+          }
+
+          .retry-btn {
+            border: none;
+            background: none;
+            padding: 0;
+            font: inherit;
+            font-weight: 600;
+            color: var(--accent-color);
+            text-decoration: underline;
+            cursor: pointer;
+          }
+
+          /* Call View Styles - Premium Redesign */
+          .call-view-content {
+            flex: 1;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            background: linear-gradient(-45deg, #1e1b4b, #312e81, #4c1d95, #5b21b6);
+            background-size: 400% 400%;
+            animation: gradientBG 15s ease infinite;
+            position: relative;
+            z-index: 1;
           }
           
-          @keyframes ping {
-            75%, 100% { transform: scale(1.5); opacity: 0; }
+          @keyframes gradientBG {
+            0% { background-position: 0% 50%; }
+            50% { background-position: 100% 50%; }
+            100% { background-position: 0% 50%; }
           }
-        </style>
-        
-        <div class="widget-container" id="widgetContainer">
-          <button class="close-btn" id="closeBtn">×</button>
           
-          <div class="nav-tabs">
-            <button class="nav-tab active" data-tab="chat">AI Chat</button>
-            <button class="nav-tab" data-tab="call">AI Call</button>
-          </div>
+          /* Ambient glowing orbs in background */
+          .call-view-content::before {
+            content: '';
+            position: absolute;
+            top: -20%;
+            left: -20%;
+            width: 140%;
+            height: 140%;
+            background: radial-gradient(circle at 50% 50%, rgba(99, 102, 241, 0.15), transparent 60%);
+            z-index: 0;
+            pointer-events: none;
+          }
 
-          <div class="tab-content">
-            <!-- Chat View -->
-            <div class="view active" id="chatView">
-              <div class="chat-history" id="chatContainer">
-                <!-- Messages go here -->
-              </div>
-              <div class="input-area">
-                <input type="text" class="message-input" id="messageInput" placeholder="Type a message..." />
-                <button class="icon-btn" id="sendBtn">➤</button>
-              </div>
-            </div>
+          .status-text {
+            font-size: 14px;
+            text-transform: uppercase;
+            letter-spacing: 2px;
+            font-weight: 600;
+            color: rgba(255, 255, 255, 0.9);
+            margin-top: 16px;
+            text-shadow: 0 2px 10px rgba(0,0,0,0.3);
+            z-index: 2;
+          }
 
-            <!-- Call View -->
-            <div class="view" id="callView">
-              <div class="call-view-content">
-                <div class="visualizer-container">
-                  <div class="visualizer-circle"></div>
-                  <div class="visualizer-circle"></div>
-                  <div class="visualizer-circle"></div>
-                  <button class="main-mic-btn" id="voiceBtn">🎤</button>
-                </div>
-                <div class="status-text" id="statusText">Tap to start call</div>
-                
-                <div class="call-controls">
-                  <!-- <button class="control-btn" title="Mute">🔇</button> -->
-                  <button class="control-btn end-call" id="endCallBtn" title="End Call">📞</button>
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
-        
-        <button class="fab" id="fabBtn">💬</button>
-      `;
+          .call-timer {
+            position: absolute;
+            top: 16px;
+            left: 50%;
+            transform: translateX(-50%);
+            padding: 4px 12px;
+            border-radius: 12px;
+            background: rgba(0, 0, 0, 0.25);
+            color: #ffffff;
+            font-size: 13px;
+            font-weight: 600;
+            font-variant-numeric: tabular-nums;
+            z-index: 2;
+          }
+
+          .call-timer[hidden],
+          .captions[hidden] {
+            display: none;
+          }
+
+          /* Live caption of the current utterance */
+          .captions {
+            width: calc(100% - 48px);
+            margin-top: 12px;
+            padding: 8px 12px;
+            border-radius: 12px;
+            background: rgba(0, 0, 0, 0.3);
+            color: #ffffff;
+            font-size: 14px;
+            line-height: 1.4;
+            text-align: center;
+            display: -webkit-box;
+            -webkit-line-clamp: 2;
+            -webkit-box-orient: vertical;
+            overflow: hidden;
+            z-index: 2;
+          }
+
+          .caption-speaker {
+            font-weight: 700;
+            margin-right: 6px;
+          }
+
+          .caption-speaker::after {
+            content: ':';
+          }
+
+          .visualizer-container {
+            position: relative;
+            width: 200px;
+            height: 200px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            margin: 16px 0 0;
+            z-index: 2;
+          }
+
+          /* Complex layered orb effect */
+          .visualizer-circle {
+            position: absolute;
+            border-radius: 50%;
+            background: transparent;
+            border: 2px solid rgba(255, 255, 255, 0.1);
+            box-shadow: 0 0 30px rgba(99, 102, 241, 0.1);
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+          }
+          
+          .visualizer-circle.animate {
+             animation: pulse-ring 2s cubic-bezier(0.25, 0.46, 0.45, 0.94) infinite;
+          }
+
+          /* Driven from real audio levels instead of the CSS pulse */
+          .visualizer-container.live .visualizer-circle {
+            animation: none;
+            transition: transform 0.08s linear, opacity 0.08s linear;
+          }
+
+          .visualizer-circle:nth-child(1) { width: 100%; height: 100%; animation-delay: 0s; border-color: rgba(167, 139, 250, 0.3); }
+          .visualizer-circle:nth-child(2) { width: 75%; height: 75%; animation-delay: 0.3s; border-color: rgba(139, 92, 246, 0.4); }
+          .visualizer-circle:nth-child(3) { width: 50%; height: 50%; animation-delay: 0.6s; border-color: rgba(124, 58, 237, 0.5); }
+
+          .main-mic-btn {
+            width: 90px;
+            height: 90px;
+            border-radius: 50%;
+            background: linear-gradient(135deg, #8b5cf6, #6366f1);
+            box-shadow: 
+              0 0 0 8px rgba(255, 255, 255, 0.05),
+              0 0 0 16px rgba(255, 255, 255, 0.02),
+              0 15px 35px rgba(0,0,0,0.3);
+            border: none;
+            z-index: 5;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 36px;
+            color: white;
+            cursor: pointer;
+            transition: all 0.4s cubic-bezier(0.175, 0.885, 0.32, 1.275);
+            position: relative;
+            overflow: hidden;
+          }
+          
+          /* Shine effect on button */
+          .main-mic-btn::before {
+            content: '';
+            position: absolute;
+            top: 0;
+            left: -100%;
+            width: 100%;
+            height: 100%;
+            background: linear-gradient(90deg, transparent, rgba(255,255,255,0.4), transparent);
+            transition: 0.5s;
+          }
+          
+          .main-mic-btn:hover::before {
+            left: 100%;
+          }
+
+          .main-mic-btn:hover {
+            transform: scale(1.05);
+            box-shadow: 
+              0 0 0 10px rgba(255, 255, 255, 0.1),
+              0 0 0 20px rgba(255, 255, 255, 0.03),
+              0 20px 40px rgba(0,0,0,0.4);
+          }
+
+          .main-mic-btn.active {
+            transform: scale(1.1);
+            background: linear-gradient(135deg, #ef4444, #f87171);
+            box-shadow: 0 0 50px rgba(239, 68, 68, 0.6);
+            animation: breathe 3s ease-in-out infinite;
+          }
+          
+          @keyframes breathe {
+            0%, 100% { transform: scale(1.1); box-shadow: 0 0 30px rgba(239, 68, 68, 0.5); }
+            50% { transform: scale(1.15); box-shadow: 0 0 60px rgba(239, 68, 68, 0.8); }
+          }
+          
+          .call-controls {
+            display: flex;
+            align-items: center;
+            gap: 18px;
+            margin-top: auto;
+            margin-bottom: 32px;
+            z-index: 2;
+          }
+
+          .control-btn {
+            width: 50px;
+            height: 50px;
+            border-radius: 50%;
+            border: 1px solid rgba(255,255,255,0.1);
+            background: rgba(255,255,255,0.1);
+            backdrop-filter: blur(10px);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 20px;
+            cursor: pointer;
+            transition: all 0.3s;
+            color: rgba(255,255,255,0.8);
+          }
+
+          .control-btn.end-call {
+            background: rgba(239, 68, 68, 0.2);
+            border-color: rgba(239, 68, 68, 0.4);
+            color: #fca5a5;
+            width: 60px;
+            height: 60px;
+            font-size: 24px;
+          }
+
+          .control-btn:hover:not(:disabled) {
+            background: rgba(255,255,255,0.2);
+            transform: translateY(-5px);
+            color: white;
+          }
+
+          .control-btn.toggle[aria-pressed="true"] {
+            background: rgba(255, 255, 255, 0.9);
+            color: #312e81;
+          }
+
+          .control-btn:disabled {
+            opacity: 0.4;
+            cursor: default;
+          }
+          
+          .control-btn.end-call:hover {
+            background: rgba(239, 68, 68, 0.8);
+            color: white;
+            box-shadow: 0 10px 30px rgba(239, 68, 68, 0.4);
+          }
+
+          /* Floating Action Button (FAB) */
+          .fab {
+            background: var(--primary-gradient);
+            width: 64px;
+            height: 64px;
+            border-radius: 32px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            color: white;
+            font-size: 30px;
+            border: none;
+            cursor: pointer;
+            box-shadow: 0 8px 24px rgba(99, 102, 241, 0.4);
+            transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+            position: fixed;
+            bottom: 30px;
+            right: 30px;
+            z-index: 10001;
+          }
+
+          .fab-badge {
+            position: absolute;
+            top: -4px;
+            right: -4px;
+            box-sizing: border-box;
+            min-width: 22px;
+            height: 22px;
+            padding: 0 6px;
+            border: 2px solid #ffffff;
+            border-radius: 11px;
+            background: var(--badge-bg);
+            color: #ffffff;
+            font-size: 12px;
+            font-weight: 700;
+            line-height: 18px;
+            text-align: center;
+          }
+
+          .fab-badge[hidden] {
+            display: none;
+          }
+
+          /* Proactive teaser above the FAB */
+          .teaser {
+            position: fixed;
+            bottom: 106px;
+            right: 30px;
+            z-index: 10001;
+            display: flex;
+            align-items: flex-start;
+            gap: 4px;
+            max-width: 280px;
+            padding: 6px;
+            background: var(--chat-bg);
+            color: var(--text-color);
+            border: 1px solid var(--border-color);
+            border-radius: 16px 16px 4px 16px;
+            box-shadow: var(--glass-shadow);
+            animation: messageSlide 0.3s ease-out;
+          }
+
+          .teaser[hidden] {
+            display: none;
+          }
+
+          .teaser-text {
+            flex: 1;
+            padding: 8px 10px;
+            background: transparent;
+            border: none;
+            border-radius: 12px;
+            color: inherit;
+            font: inherit;
+            font-size: 14px;
+            line-height: 1.4;
+            text-align: left;
+            cursor: pointer;
+          }
+
+          .teaser-text:hover {
+            background: var(--control-bg);
+          }
+
+          .teaser-close {
+            flex: none;
+            width: 24px;
+            height: 24px;
+            background: transparent;
+            border: none;
+            border-radius: 50%;
+            color: inherit;
+            font-size: 16px;
+            cursor: pointer;
+          }
+
+          .teaser-close:hover {
+            background: var(--control-hover-bg);
+          }
+
+          :host(.bottom-left) .teaser {
+            right: auto;
+            left: 30px;
+            border-radius: 16px 16px 16px 4px;
+          }
+
+          .fab:hover {
+            transform: scale(1.1) rotate(5deg);
+            box-shadow: 0 12px 32px rgba(99, 102, 241, 0.5);
+          }
+          
+          .fab.hidden {
+            transform: scale(0) rotate(-180deg);
+            opacity: 0;
+            pointer-events: none;
+          }
+
+          /* Keyboard focus */
+          button:focus-visible,
+          a:focus-visible {
+            outline: 2px solid var(--accent-color);
+            outline-offset: 2px;
+          }
+
+          .call-view-content button:focus-visible,
+          .fab:focus-visible {
+            outline-color: #ffffff;
+          }
+
+          @media (prefers-reduced-motion: reduce) {
+            *,
+            *::before,
+            *::after {
+              animation-duration: 0.01ms !important;
+              animation-iteration-count: 1 !important;
+              transition-duration: 0.01ms !important;
+              scroll-behavior: auto !important;
+            }
+          }
+
+          @keyframes messageSlide {
+            from { opacity: 0; transform: translateY(10px); }
+            to { opacity: 1; transform: translateY(0); }
+          }
+
+          @keyframes pulse-ring {
+            0% { transform: scale(0.8); opacity: 0.5; }
+            100% { transform: scale(2.5); opacity: 0; }
+          }
+          
+          @keyframes ping {
+            75%, 100% { transform: scale(1.5); opacity: 0; }
+          }
+        </style>
+        
+        <div class="widget-container" id="widgetContainer" part="panel" role="dialog" aria-modal="true" data-i18n-label="widgetTitle" aria-hidden="true" inert>
+          <button class="resize-handle" id="resizeHandle" part="resize-handle" data-i18n-title="resize" data-i18n-label="resize" hidden></button>
+          <div class="header-menu" id="headerMenu" part="menu" role="menu" data-i18n-label="transcriptMenu" hidden>
+            <button type="button" role="menuitem" tabindex="-1" data-action="txt" data-i18n="downloadText"></button>
+            <button type="button" role="menuitem" tabindex="-1" data-action="md" data-i18n="downloadMarkdown"></button>
+            <button type="button" role="menuitem" tabindex="-1" data-action="json" data-i18n="downloadJson"></button>
+            <button type="button" role="menuitem" tabindex="-1" data-action="print" data-i18n="printTranscript"></button>
+            <button type="button" role="menuitem" tabindex="-1" data-action="email" id="emailMenuItem" data-i18n="emailTranscript"></button>
+          </div>
+
+          <form class="email-form" id="emailForm" part="email-form" hidden>
+            <input type="email" id="emailInput" required data-i18n-placeholder="emailPlaceholder" data-i18n-label="emailPlaceholder" />
+            <button type="submit" data-i18n="emailSend"></button>
+          </form>
+          
+          <div class="panel-header" part="header">
+            <div class="nav-tabs" part="tabs" role="tablist">
+              <button class="nav-tab active" id="chatTabBtn" data-tab="chat" part="tab" role="tab" aria-selected="true" aria-controls="chatView" tabindex="0" data-i18n="chatTab"></button>
+              <button class="nav-tab" id="callTabBtn" data-tab="call" part="tab" role="tab" aria-selected="false" aria-controls="callView" tabindex="-1" data-i18n="callTab"></button>
+            </div>
+            <div class="header-actions" part="header-actions">
+              <button class="header-btn" id="expandBtn" part="header-button expand-button" data-i18n-title="expand" data-i18n-label="expand" aria-pressed="false" hidden><span aria-hidden="true">⤢</span></button>
+              <button class="header-btn" id="menuBtn" part="header-button menu-button" data-i18n-title="transcriptMenu" data-i18n-label="transcriptMenu" aria-haspopup="menu" aria-controls="headerMenu" aria-expanded="false"><span aria-hidden="true">⋯</span></button>
+              <button class="header-btn" id="handoffBtn" part="header-button handoff-button" data-i18n-title="talkToHuman" data-i18n-label="talkToHuman" hidden><span aria-hidden="true">👤</span></button>
+              <button class="header-btn" id="newChatBtn" part="header-button" data-i18n-title="newConversation" data-i18n-label="newConversation"><span aria-hidden="true">↺</span></button>
+              <button class="header-btn close-btn" id="closeBtn" part="header-button close-button" data-i18n-title="close" data-i18n-label="close"><span aria-hidden="true">×</span></button>
+            </div>
+          </div>
+
+          <div class="tab-content">
+            <!-- Chat View -->
+            <div class="view active" id="chatView" role="tabpanel" aria-labelledby="chatTabBtn">
+              <div class="handoff-banner" id="handoffBanner" part="handoff-banner" hidden>
+                <span id="handoffStatus" role="status"></span>
+                <button type="button" class="handoff-end-btn" id="endHandoffBtn" data-i18n="endHandoff"></button>
+              </div>
+              <div class="chat-history" id="chatContainer" part="transcript" role="log" aria-live="polite" aria-relevant="additions" data-i18n-label="conversation">
+                <!-- Messages go here -->
+              </div>
+              <div class="selection-context" id="selectionContext" part="selection-context" hidden>
+                <span class="selection-label" data-i18n="askingAbout"></span>
+                <span class="selection-text" id="selectionText"></span>
+                <button type="button" class="selection-remove" id="removeSelectionBtn" data-i18n-title="removeSelection" data-i18n-label="removeSelection"><span aria-hidden="true">×</span></button>
+              </div>
+              <div class="attachment-tray" id="attachmentTray" part="attachment-tray" hidden></div>
+              <div class="input-area" part="input-area">
+                <button class="icon-btn attach-btn" id="attachBtn" part="attach-button" data-i18n-title="attach" data-i18n-label="attach"><span aria-hidden="true">📎</span></button>
+                <input type="file" id="fileInput" multiple hidden />
+                <input type="text" class="message-input" id="messageInput" part="input" data-i18n-placeholder="inputPlaceholder" data-i18n-label="messageLabel" />
+                <button class="icon-btn" id="sendBtn" part="send-button" data-i18n-title="send" data-i18n-label="send"><span aria-hidden="true">➤</span></button>
+                <button class="icon-btn stop-btn" id="stopBtn" part="stop-button" data-i18n-title="stopGenerating" data-i18n-label="stopGenerating" hidden><span aria-hidden="true">■</span></button>
+              </div>
+            </div>
+
+            <!-- Call View -->
+            <div class="view" id="callView" role="tabpanel" aria-labelledby="callTabBtn" aria-hidden="true" inert>
+              <div class="call-view-content" part="call-view">
+                <div class="visualizer-container" id="visualizerContainer">
+                  <div class="visualizer-circle"></div>
+                  <div class="visualizer-circle"></div>
+                  <div class="visualizer-circle"></div>
+                  <button class="main-mic-btn" id="voiceBtn" part="mic-button" data-i18n-label="micButton" aria-pressed="false"><span aria-hidden="true">🎤</span></button>
+                </div>
+                <div class="call-timer" id="callTimer" part="call-timer" role="timer" data-i18n-label="callDuration" hidden>0:00</div>
+                <div class="status-text" id="statusText" role="status"></div>
+                <div class="captions" id="captions" part="captions" hidden>
+                  <span class="caption-speaker" id="captionSpeaker"></span>
+                  <span class="caption-text" id="captionText"></span>
+                </div>
+
+                <div class="call-controls">
+                  <button class="control-btn toggle" id="muteBtn" part="call-button mute-button" data-i18n-title="mute" data-i18n-label="mute" aria-pressed="false" disabled><span aria-hidden="true">🔇</span></button>
+                  <button class="control-btn toggle" id="holdBtn" part="call-button hold-button" data-i18n-title="hold" data-i18n-label="hold" aria-pressed="false" disabled><span aria-hidden="true">⏸</span></button>
+                  <button class="control-btn" id="speakerBtn" part="call-button speaker-button" data-i18n-title="speaker" data-i18n-label="speaker" aria-pressed="true"><span aria-hidden="true">🔊</span></button>
+                  <button class="control-btn end-call" id="endCallBtn" data-i18n-title="endCall" data-i18n-label="endCall"><span aria-hidden="true">📞</span></button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+        
+        <button type="button" class="ask-selection" id="askSelectionBtn" part="ask-selection" hidden><span aria-hidden="true">💬</span> <span data-i18n="askAboutThis"></span></button>
+
+        <div class="teaser" id="teaser" part="teaser" role="status" hidden>
+          <button type="button" class="teaser-text" id="teaserText" part="teaser-text"></button>
+          <button type="button" class="teaser-close" id="teaserClose" data-i18n-title="dismiss" data-i18n-label="dismiss"><span aria-hidden="true">×</span></button>
+        </div>
+
+        <button class="fab" id="fabBtn" part="fab" data-i18n-label="openChat" aria-haspopup="dialog" aria-controls="widgetContainer" aria-expanded="false"><span aria-hidden="true">💬</span><span class="fab-badge" id="fabBadge" part="badge" aria-hidden="true" hidden></span></button>
+      `;
+
+      // Add to DOM
+      (this.config.target || document.body).appendChild(container);
+      this.host = container;
+
+      // Get references
+      this.elements = {
+        container: this.shadowRoot.getElementById('widgetContainer'),
+        fab: this.shadowRoot.getElementById('fabBtn'),
+        fabBadge: this.shadowRoot.getElementById('fabBadge'),
+        teaser: this.shadowRoot.getElementById('teaser'),
+        teaserText: this.shadowRoot.getElementById('teaserText'),
+        teaserClose: this.shadowRoot.getElementById('teaserClose'),
+        closeBtn: this.shadowRoot.getElementById('closeBtn'),
+        expandBtn: this.shadowRoot.getElementById('expandBtn'),
+        resizeHandle: this.shadowRoot.getElementById('resizeHandle'),
+        newChatBtn: this.shadowRoot.getElementById('newChatBtn'),
+        menuBtn: this.shadowRoot.getElementById('menuBtn'),
+        headerMenu: this.shadowRoot.getElementById('headerMenu'),
+        emailMenuItem: this.shadowRoot.getElementById('emailMenuItem'),
+        emailForm: this.shadowRoot.getElementById('emailForm'),
+        emailInput: this.shadowRoot.getElementById('emailInput'),
+        // Tabs
+        tabs: this.shadowRoot.querySelectorAll('.nav-tab'),
+        views: this.shadowRoot.querySelectorAll('.view'),
+        // Chat Elements
+        chatView: this.shadowRoot.getElementById('chatView'),
+        chatContainer: this.shadowRoot.getElementById('chatContainer'),
+        handoffBanner: this.shadowRoot.getElementById('handoffBanner'),
+        handoffStatus: this.shadowRoot.getElementById('handoffStatus'),
+        endHandoffBtn: this.shadowRoot.getElementById('endHandoffBtn'),
+        handoffBtn: this.shadowRoot.getElementById('handoffBtn'),
+        messageInput: this.shadowRoot.getElementById('messageInput'),
+        sendBtn: this.shadowRoot.getElementById('sendBtn'),
+        stopBtn: this.shadowRoot.getElementById('stopBtn'),
+        attachBtn: this.shadowRoot.getElementById('attachBtn'),
+        fileInput: this.shadowRoot.getElementById('fileInput'),
+        attachmentTray: this.shadowRoot.getElementById('attachmentTray'),
+        selectionContext: this.shadowRoot.getElementById('selectionContext'),
+        selectionText: this.shadowRoot.getElementById('selectionText'),
+        removeSelectionBtn: this.shadowRoot.getElementById('removeSelectionBtn'),
+        askSelectionBtn: this.shadowRoot.getElementById('askSelectionBtn'),
+        // Call Elements
+        voiceBtn: this.shadowRoot.getElementById('voiceBtn'), // Main Mic Button
+        endCallBtn: this.shadowRoot.getElementById('endCallBtn'),
+        statusText: this.shadowRoot.getElementById('statusText'),
+        callTimer: this.shadowRoot.getElementById('callTimer'),
+        captions: this.shadowRoot.getElementById('captions'),
+        captionSpeaker: this.shadowRoot.getElementById('captionSpeaker'),
+        captionText: this.shadowRoot.getElementById('captionText'),
+        muteBtn: this.shadowRoot.getElementById('muteBtn'),
+        holdBtn: this.shadowRoot.getElementById('holdBtn'),
+        speakerBtn: this.shadowRoot.getElementById('speakerBtn'),
+        visualizerContainer: this.shadowRoot.getElementById('visualizerContainer'),
+        visualizers: this.shadowRoot.querySelectorAll('.visualizer-circle')
+      };
+      // Strings are set as text/attributes rather than interpolated into the markup above,
+      // since host-supplied translations may contain HTML
+      this.applyTranslations();
+
+      this.activeTab = 'chat';
+
+      // Inline widgets are part of the page rather than a modal dialog
+      if (this.isInline) {
+        this.elements.container.setAttribute('role', 'region');
+        this.elements.container.removeAttribute('aria-modal');
+      }
+
+      this.elements.emailMenuItem.hidden = !this.config.transcriptEndpoint;
+      this.elements.attachBtn.hidden = !this.config.attachments;
+      this.renderHandoffBanner();
+      this.elements.fileInput.accept = (this.config.attachmentTypes || []).join(',');
+
+      this.watchMobileBreakpoint();
+      this.applyLayout();
+    }
+
+    // Position, size and stacking of the widget, plus the expanded/resized/full-screen state
+    applyLayout() {
+      if (!this.host) return;
+      const { position, zIndex } = this.config;
+      const fullscreen = this.isFullscreen();
+      const floating = !this.isInline && !fullscreen;
+      const resized = floating && !this.layoutState.expanded && Boolean(this.layoutState.width);
+      const width = resized ? this.layoutState.width : this.config.width;
+      const height = resized ? this.layoutState.height : this.config.height;
+      const length = (value) => (typeof value === 'number' ? `${value}px` : value);
+
+      this.host.classList.toggle('bottom-left', !this.isInline && position === 'bottom-left');
+      this.host.classList.toggle('fullscreen', fullscreen);
+      this.host.classList.toggle('expanded', floating && this.layoutState.expanded);
+      this.host.classList.toggle('resized', resized);
+      [['--widget-width', width], ['--widget-height', height], ['--widget-z-index', zIndex]].forEach(([name, value]) => {
+        if (value === null || value === undefined || value === '') this.host.style.removeProperty(name);
+        else this.host.style.setProperty(name, name === '--widget-z-index' ? String(value) : length(value));
+      });
+
+      if (!this.elements) return;
+      const { expandBtn, resizeHandle } = this.elements;
+      const expanded = floating && this.layoutState.expanded;
+      const labelKey = expanded ? 'collapse' : 'expand';
+      expandBtn.hidden = !floating || !this.config.expandable;
+      expandBtn.setAttribute('aria-pressed', String(expanded));
+      expandBtn.dataset.i18nTitle = labelKey;
+      expandBtn.dataset.i18nLabel = labelKey;
+      expandBtn.title = this.t(labelKey);
+      expandBtn.setAttribute('aria-label', this.t(labelKey));
+      expandBtn.firstElementChild.textContent = expanded ? '⤡' : '⤢';
+      resizeHandle.hidden = !floating || expanded || !this.config.resizable;
+    }
+
+    isFullscreen() {
+      if (this.isInline) return false;
+      if (this.config.layout === 'fullscreen') return true;
+      return Boolean(this.config.mobileFullscreen && this.mobileQuery && this.mobileQuery.matches);
+    }
+
+    // Track the mobile breakpoint so the floating panel switches to full screen live
+    watchMobileBreakpoint() {
+      if (this.mobileQuery) {
+        this.mobileQuery.removeEventListener('change', this.onMobileChange);
+        this.mobileQuery = null;
+      }
+      if (this.isInline || !window.matchMedia) return;
+      this.mobileQuery = window.matchMedia(`(max-width: ${Number(this.config.mobileBreakpoint) || 0}px)`);
+      this.mobileQuery.addEventListener('change', this.onMobileChange);
+    }
+
+    get layoutStorageKey() {
+      return `${this.config.storageKey}:layout`;
+    }
+
+    loadLayoutState() {
+      const state = { expanded: false, width: null, height: null };
+      if (!this.config.rememberLayout || this.isInline) return state;
+      try {
+        const saved = JSON.parse(window.localStorage.getItem(this.layoutStorageKey) || 'null');
+        if (saved) {
+          state.expanded = saved.expanded === true;
+          if (Number.isFinite(saved.width) && Number.isFinite(saved.height)) {
+            state.width = saved.width;
+            state.height = saved.height;
+          }
+        }
+      } catch (e) {
+        // Blocked storage or a corrupt entry: start from the configured layout
+      }
+      return state;
+    }
+
+    saveLayoutState() {
+      this.emit('layout', {
+        expanded: this.layoutState.expanded,
+        width: this.layoutState.width,
+        height: this.layoutState.height
+      });
+      if (!this.config.rememberLayout) return;
+      try {
+        window.localStorage.setItem(this.layoutStorageKey, JSON.stringify(this.layoutState));
+      } catch (e) {
+        log('Could not save the layout:', e.message);
+      }
+    }
+
+    setExpanded(expanded = !this.layoutState.expanded) {
+      if (this.isInline) return;
+      this.layoutState = { ...this.layoutState, expanded: Boolean(expanded) };
+      this.applyLayout();
+      this.saveLayoutState();
+    }
+
+    // Set the floating panel size in pixels, kept between a usable minimum and the viewport
+    resizePanel(width, height) {
+      const clamp = (value, min, max) => Math.round(Math.max(min, Math.min(value, Math.max(min, max))));
+      this.layoutState = {
+        expanded: false,
+        width: clamp(width, 300, window.innerWidth - 60),
+        height: clamp(height, 360, window.innerHeight - 60)
+      };
+      this.applyLayout();
+    }
+
+    resetPanelSize() {
+      this.layoutState = { expanded: false, width: null, height: null };
+      this.applyLayout();
+      this.saveLayoutState();
+    }
+
+    // Drag the handle on the panel's top corner; the panel grows up and away from its anchor
+    startResize(e) {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      const rect = this.elements.container.getBoundingClientRect();
+      const direction = this.host.classList.contains('bottom-left') ? 1 : -1;
+      const start = { x: e.clientX, y: e.clientY, width: rect.width, height: rect.height };
+
+      const onMove = (event) => {
+        this.resizePanel(
+          start.width + direction * (event.clientX - start.x),
+          start.height - (event.clientY - start.y)
+        );
+      };
+      this.stopResize = () => {
+        window.removeEventListener('pointermove', onMove);
+        window.removeEventListener('pointerup', this.stopResize);
+        window.removeEventListener('pointercancel', this.stopResize);
+        this.stopResize = null;
+        this.elements.container.style.transition = '';
+        this.saveLayoutState();
+      };
+      // No size transition while dragging, so the panel follows the pointer
+      this.elements.container.style.transition = 'none';
+      window.addEventListener('pointermove', onMove);
+      window.addEventListener('pointerup', this.stopResize);
+      window.addEventListener('pointercancel', this.stopResize);
+    }
+
+    // Arrow keys resize from the keyboard, in the same directions as dragging
+    handleResizeKeydown(e) {
+      const step = e.shiftKey ? 60 : 20;
+      const direction = this.host.classList.contains('bottom-left') ? 1 : -1;
+      const delta = {
+        ArrowLeft: [-direction * step, 0],
+        ArrowRight: [direction * step, 0],
+        ArrowUp: [0, step],
+        ArrowDown: [0, -step]
+      }[e.key];
+      if (!delta) return;
+      e.preventDefault();
+      const rect = this.elements.container.getBoundingClientRect();
+      this.resizePanel(rect.width + delta[0], rect.height + delta[1]);
+      this.saveLayoutState();
+    }
+
+    switchTab(tabId) {
+      if (this.activeTab === tabId) return;
+      this.activeTab = tabId;
+
+      // Update UI; only the selected tab is in the tab order (roving tabindex)
+      this.elements.tabs.forEach(tab => {
+        const selected = tab.dataset.tab === tabId;
+        tab.classList.toggle('active', selected);
+        tab.setAttribute('aria-selected', String(selected));
+        tab.tabIndex = selected ? 0 : -1;
+      });
+
+      // The hidden view stays in the DOM for the slide transition, so keep it out of
+      // the tab order and the accessibility tree
+      this.elements.views.forEach(view => {
+        const active = view.id === `${tabId}View`;
+        view.classList.toggle('active', active);
+        view.toggleAttribute('inert', !active);
+        view.setAttribute('aria-hidden', String(!active));
+      });
+    }
+
+    // Arrow keys, Home and End move between tabs and select them
+    handleTabKeydown(e) {
+      const tabs = Array.from(this.elements.tabs);
+      const index = tabs.indexOf(e.currentTarget);
+      const next = {
+        ArrowRight: (index + 1) % tabs.length,
+        ArrowLeft: (index - 1 + tabs.length) % tabs.length,
+        Home: 0,
+        End: tabs.length - 1
+      }[e.key];
+      if (next === undefined) return;
+
+      e.preventDefault();
+      tabs[next].focus();
+      this.switchTab(tabs[next].dataset.tab);
+    }
+
+    // Escape closes the panel and Tab wraps around inside it while it is open
+    handlePanelKeydown(e) {
+      if (e.key === 'Escape') {
+        if (this.isInline && this.elements.headerMenu.hidden && this.elements.emailForm.hidden && !this.survey) return;
+        e.preventDefault();
+        // An open menu or form closes first
+        if (!this.elements.headerMenu.hidden || !this.elements.emailForm.hidden) {
+          this.closeHeaderMenu();
+          this.elements.emailForm.hidden = true;
+          this.elements.menuBtn.focus();
+          return;
+        }
+        if (this.survey) {
+          this.finishSurvey(null);
+          return;
+        }
+        this.requestClose();
+        return;
+      }
+      // Only the floating dialog traps focus
+      if (e.key !== 'Tab' || this.isInline) return;
+
+      const focusable = this.getFocusableElements();
+      if (!focusable.length) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const active = this.shadowRoot.activeElement;
+
+      if (e.shiftKey && (active === first || !focusable.includes(active))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (active === last || !focusable.includes(active))) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+
+    getFocusableElements() {
+      return Array.from(this.elements.container.querySelectorAll('button, input, a[href], [tabindex]'))
+        .filter(el => el.tabIndex >= 0 && !el.disabled && !el.closest('[hidden], [inert]'));
+    }
+
+    setMicActive(active) {
+      this.elements.voiceBtn.classList.toggle('active', active);
+      this.elements.voiceBtn.setAttribute('aria-pressed', String(active));
+    }
+
+    togglePersistentCallMode() {
+      // Feature deprecated or needs redesign for new UI
+      // For now, simple console log as it wasn't core to visual overhaul
+      log('Persistent mode toggled (internal flag only)');
+      this.persistentCallMode = !this.persistentCallMode;
+    }
+
+    // Lazily created and shared by the VAD and recorder-based recognition
+    getAudioContext() {
+      if (!this.audioContext) {
+        const Context = window.AudioContext || window.webkitAudioContext;
+        this.audioContext = new Context();
+      }
+      return this.audioContext;
+    }
+
+    // Pick a recognizer adapter for the configured provider and browser support
+    createRecognizer() {
+      const provider = this.config.sttProvider;
+      const lang = this.getSpeechLang();
+
+      if (typeof provider === 'function') {
+        return provider({
+          stream: this.micStream,
+          lang,
+          transcribe: (blob, language) => this.transcribeAudio(blob, language)
+        });
+      }
+
+      if ((provider === 'auto' || provider === 'browser') && BrowserRecognizer.isSupported()) {
+        return new BrowserRecognizer({
+          lang,
+          manualTurns: this.usesVadTurns(),
+          interim: Boolean(this.config.captions)
+        });
+      }
+
+      if ((provider === 'auto' || provider === 'recorder') && RecorderRecognizer.isSupported()) {
+        if (!this.config.transcriptionEndpoint) {
+          log('Recorder recognition needs a transcriptionEndpoint');
+          return null;
+        }
+        return new RecorderRecognizer({
+          stream: this.micStream,
+          audioContext: this.getAudioContext(),
+          lang,
+          transcribe: (blob, language) => this.transcribeAudio(blob, language),
+          vadOptions: {
+            threshold: this.config.vadThreshold,
+            silenceMs: this.config.vadSilenceMs
+          }
+        });
+      }
+
+      return null;
+    }
+
+    hasWebAudio() {
+      return typeof (window.AudioContext || window.webkitAudioContext) !== 'undefined';
+    }
+
+    usesVadTurns() {
+      return Boolean(this.config.vadEndOfTurn && this.hasWebAudio());
+    }
+
+    // Meter the mic for the whole call: feeds the visualizer and ends the user's
+    // turn after vadSilenceMs of quiet
+    startAudioMonitor() {
+      if (!this.micStream || !this.hasWebAudio()) return;
+
+      if (!this.micMonitor) {
+        const audioContext = this.getAudioContext();
+        if (audioContext.state === 'suspended') audioContext.resume();
+
+        this.micMonitor = new VoiceActivityDetector(this.micStream, audioContext, {
+          threshold: this.config.vadThreshold,
+          silenceMs: this.config.vadSilenceMs
+        });
+        this.micMonitor.onspeechend = () => {
+          if (!this.isRecording || this.ignoreRecognitionForTTS) return;
+          if (this.usesVadTurns() && this.recognition && this.recognition.endTurn) {
+            log('VAD detected end of turn');
+            this.recognition.endTurn();
+          }
+        };
+        this.micMonitor.start();
+      }
+
+      this.elements.visualizerContainer.classList.add('live');
+      if (!this.visualizerFrame) this.renderVisualizer();
+    }
+
+    stopAudioMonitor() {
+      if (this.micMonitor) {
+        this.micMonitor.stop();
+        this.micMonitor = null;
+      }
+      if (this.visualizerFrame) {
+        cancelAnimationFrame(this.visualizerFrame);
+        this.visualizerFrame = null;
+      }
+      this.visualLevel = 0;
+      if (!this.elements) return;
+      this.elements.visualizerContainer.classList.remove('live');
+      this.elements.visualizers.forEach(circle => {
+        circle.style.transform = '';
+        circle.style.opacity = '';
+      });
+    }
+
+    // Current TTS loudness. speechSynthesis and directly played audio can't be tapped, so they get a gentle synthetic wave
+    getOutputLevel() {
+      if (this.audioPlaying && this.analysingOutput && this.outputAnalyser) {
+        const samples = new Float32Array(this.outputAnalyser.fftSize);
+        this.outputAnalyser.getFloatTimeDomainData(samples);
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+        return Math.sqrt(sum / samples.length);
+      }
+      if (this.audioPlaying || (this.synthesis && this.synthesis.speaking)) {
+        return 0.05 + 0.04 * Math.sin(Date.now() / 140);
+      }
+      return 0;
+    }
+
+    // Scale the circles from real amplitude: the assistant's voice while it speaks, the mic otherwise
+    renderVisualizer() {
+      const speaking = this.pendingUtterances > 0;
+      const level = speaking
+        ? this.getOutputLevel()
+        : (this.isRecording && this.micMonitor ? this.micMonitor.level : 0);
+      const target = Math.min(1, level * 6);
+      // Fast attack, slow release so the rings don't flicker
+      this.visualLevel += (target - this.visualLevel) * (target > this.visualLevel ? 0.5 : 0.12);
+
+      // With reduced motion the rings only brighten instead of growing
+      const reduceMotion = Boolean(this.reducedMotionQuery && this.reducedMotionQuery.matches);
+      this.elements.visualizers.forEach((circle, index) => {
+        const scale = reduceMotion ? 1 : 1 + this.visualLevel * (0.9 - index * 0.25);
+        circle.style.transform = `translate(-50%, -50%) scale(${scale.toFixed(3)})`;
+        circle.style.opacity = (0.35 + this.visualLevel * 0.65).toFixed(3);
+      });
+
+      this.visualizerFrame = requestAnimationFrame(() => this.renderVisualizer());
+    }
+
+    usesTokenAuth() {
+      return Boolean(this.config.tokenEndpoint || typeof this.config.getToken === 'function');
+    }
+
+    // Return a valid session token, fetching a new one when missing or about to expire
+    async getAuthToken(forceRefresh = false) {
+      const token = this.authToken;
+      if (!forceRefresh && token && (!token.expiresAt || token.expiresAt - Date.now() > 30000)) {
+        return token.value;
+      }
+
+      // Concurrent requests share one refresh
+      if (!this.tokenRequest) {
+        // A refresh started before the token source changed must not be cached
+        const request = this.requestAuthToken()
+          .then(result => {
+            if (this.tokenRequest === request) this.authToken = result;
+            return result.value;
+          })
+          .finally(() => {
+            if (this.tokenRequest === request) this.tokenRequest = null;
+          });
+        this.tokenRequest = request;
+      }
+      return this.tokenRequest;
+    }
+
+    async requestAuthToken() {
+      let data;
+      if (typeof this.config.getToken === 'function') {
+        data = await this.config.getToken({ sessionId: this.sessionId });
+      } else {
+        // credentials: 'include' lets the host's own session cookie authorize the token
+        const response = await fetch(this.config.tokenEndpoint, {
+          method: 'POST',
+          credentials: 'include',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ sessionId: this.sessionId })
+        });
+        if (!response.ok) throw new Error(`Token endpoint error: ${response.status}`);
+        data = await response.json();
+      }
+
+      if (typeof data === 'string') data = { token: data };
+      const value = data && (data.token || data.accessToken || data.access_token);
+      if (!value) throw new Error('Token response did not include a token');
+
+      const expiresIn = Number(data.expiresIn ?? data.expires_in);
+      const expiresAt = data.expiresAt
+        ? new Date(data.expiresAt).getTime()
+        : (expiresIn ? Date.now() + expiresIn * 1000 : null);
+      log('Session token acquired', expiresAt ? `(expires ${new Date(expiresAt).toISOString()})` : '');
+      return { value, expiresAt };
+    }
+
+    async getAuthHeaders(forceRefresh = false) {
+      if (this.usesTokenAuth()) {
+        return { 'Authorization': `Bearer ${await this.getAuthToken(forceRefresh)}` };
+      }
+      // Legacy static key, only sent when key validation isn't bypassed
+      if (!this.config.bypassApiKeyValidation && this.config.apiKey) {
+        return { 'Authorization': `Bearer ${this.config.apiKey}` };
+      }
+      return {};
+    }
+
+    // fetch() with auth headers; a 401 in token mode refreshes the token and retries once
+    async authorizedFetch(url, options = {}) {
+      const send = async (forceRefresh) => fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), ...(await this.getAuthHeaders(forceRefresh)) }
+      });
+
+      const response = await send(false);
+      if (response.status !== 401 || !this.usesTokenAuth()) return response;
+
+      log('Request unauthorized, refreshing session token');
+      this.authToken = null;
+      return send(true);
+    }
+
+    isOnline() {
+      return navigator.onLine !== false;
+    }
+
+    getSchemaAdapter() {
+      const schema = this.config.schema;
+      if (schema && typeof schema === 'object') return { ...SCHEMA_ADAPTERS.default, ...schema };
+      if (!SCHEMA_ADAPTERS[schema]) {
+        error(`Unknown schema "${schema}", using default`);
+        return SCHEMA_ADAPTERS.default;
+      }
+      return SCHEMA_ADAPTERS[schema];
+    }
+
+    // Run an adapter step, letting a config hook of the same name wrap it
+    runSchemaStep(step, ...args) {
+      const adapter = this.getSchemaAdapter();
+      const own = (...stepArgs) => adapter[step](...stepArgs);
+      const hook = this.config[step];
+      return typeof hook === 'function' ? hook(...args, own) : own(...args);
+    }
+
+    buildRequestBody(message, toolResults = null, attachments = []) {
+      return this.runSchemaStep('buildRequest', {
+        message,
+        attachments,
+        tools: this.getToolDefinitions(),
+        toolResults,
+        sessionId: this.sessionId,
+        history: this.getRequestHistory(),
+        lang: this.config.lang,
+        stream: Boolean(this.config.stream),
+        // Without a dedicated TTS endpoint the chat backend has to return the audio
+        tts: this.usesServerTTS() && !this.config.ttsEndpoint,
+        metadata: resolveOption(this.config.metadata) || null,
+        context: this.collectPageContext(),
+        config: this.config
+      });
+    }
+
+    // The conversation as the backend sees it; UI state (timestamps, feedback, selections,
+    // buttons and cards) stays in the browser, and selections reach it only through the context
+    getRequestHistory() {
+      return this.history.filter(entry => entry.role !== 'call').map(entry => {
+        const turn = { role: entry.role, content: entry.content };
+        ['attachments', 'toolCalls', 'toolCallId', 'name'].forEach(key => {
+          if (entry[key] !== undefined) turn[key] = entry[key];
+        });
+        return turn;
+      });
+    }
+
+    // Allowlisted page context fields, each clipped to contextFieldLimit characters.
+    // Fields are added in allowlist order and skipped once contextMaxSize is reached.
+    collectPageContext() {
+      const allowed = this.config.pageContext === true
+        ? ['url', 'title', 'description']
+        : [].concat(this.config.pageContext || []);
+      if (!allowed.length) return null;
+
+      const limit = this.config.contextFieldLimit;
+      const clip = (value) => (typeof value === 'string' && value.length > limit
+        ? `${value.slice(0, limit)}…`
+        : value);
+      const lastUserEntry = [...this.history].reverse().find(entry => entry.role === 'user');
+      let hostContext = null;
+      try {
+        hostContext = resolveOption(this.config.context);
+      } catch (e) {
+        error('Error in context callback:', e);
+      }
+
+      const context = {};
+      let size = 2;
+      const add = (key, value, into = context) => {
+        if (value === undefined || value === null || value === '') return;
+        const addition = new TextEncoder().encode(JSON.stringify({ [key]: value })).length;
+        if (size + addition > this.config.contextMaxSize) {
+          log(`Page context field "${key}" left out, over contextMaxSize`);
+          return;
+        }
+        into[key] = value;
+        size += addition;
+      };
+
+      allowed.forEach(field => {
+        if (field === 'url') {
+          add('url', clip(window.location.href));
+        } else if (field === 'title') {
+          add('title', clip(document.title));
+        } else if (field === 'description') {
+          const meta = document.querySelector('meta[name="description"]');
+          add('description', clip(meta && meta.getAttribute('content')));
+        } else if (field === 'selection') {
+          add('selection', lastUserEntry && lastUserEntry.selection);
+        } else if (field === 'host' || field.startsWith('host.')) {
+          if (!hostContext || typeof hostContext !== 'object') return;
+          const keys = field === 'host' ? Object.keys(hostContext) : [field.slice(5)];
+          keys.forEach(key => {
+            if (!(key in hostContext)) return;
+            if (!context.host) {
+              context.host = {};
+              size += '"host":{},'.length;
+            }
+            add(key, clip(hostContext[key]), context.host);
+          });
+        } else {
+          log(`Unknown page context field "${field}"`);
+        }
+      });
+
+      if (context.host && !Object.keys(context.host).length) delete context.host;
+      return Object.keys(context).length ? context : null;
+    }
+
+    // Offer "Ask about this" for text selected on the page
+    startSelectionAction() {
+      this.stopSelectionAction();
+      const allowed = this.config.pageContext === true ? [] : [].concat(this.config.pageContext || []);
+      if (!allowed.includes('selection')) return;
+      document.addEventListener('mouseup', this.onPageSelection);
+      document.addEventListener('keyup', this.onPageSelection);
+      document.addEventListener('selectionchange', this.onSelectionChange);
+      window.addEventListener('scroll', this.onPageScroll, { passive: true });
+    }
+
+    stopSelectionAction() {
+      document.removeEventListener('mouseup', this.onPageSelection);
+      document.removeEventListener('keyup', this.onPageSelection);
+      document.removeEventListener('selectionchange', this.onSelectionChange);
+      window.removeEventListener('scroll', this.onPageScroll, { passive: true });
+      if (this.elements) this.hideSelectionAction();
+    }
+
+    // Text selected in the host page (not inside the widget), with its position
+    getPageSelection() {
+      const selection = window.getSelection ? window.getSelection() : null;
+      if (!selection || selection.isCollapsed || !selection.rangeCount) return null;
+      const text = selection.toString().replace(/\s+/g, ' ').trim();
+      if (!text || this.host.contains(selection.anchorNode)) return null;
+      return { text, rect: selection.getRangeAt(0).getBoundingClientRect() };
+    }
+
+    showSelectionAction() {
+      const selection = this.getPageSelection();
+      const button = this.elements.askSelectionBtn;
+      if (!selection) {
+        this.hideSelectionAction();
+        return;
+      }
+      // Above the selection, or below it when there is no room at the top
+      const { rect } = selection;
+      const top = rect.top > 48 ? rect.top - 44 : rect.bottom + 8;
+      const left = Math.max(8, Math.min(rect.left + rect.width / 2 - 70, window.innerWidth - 160));
+      button.style.top = `${Math.round(top)}px`;
+      button.style.left = `${Math.round(left)}px`;
+      button.hidden = false;
+    }
+
+    hideSelectionAction() {
+      this.elements.askSelectionBtn.hidden = true;
+    }
+
+    // Quote the selected text in the chat; it goes with the next message
+    askAboutSelection() {
+      const selection = this.getPageSelection();
+      this.hideSelectionAction();
+      if (!selection) return;
+      const limit = this.config.contextFieldLimit;
+      this.pendingSelection = selection.text.length > limit
+        ? `${selection.text.slice(0, limit)}…`
+        : selection.text;
+      this.renderSelectionContext();
+      this.openWidget();
+      this.switchTab('chat');
+      this.elements.messageInput.focus();
+      this.emit('selection', { text: this.pendingSelection });
+    }
+
+    clearSelectionContext() {
+      this.pendingSelection = null;
+      this.renderSelectionContext();
+    }
+
+    renderSelectionContext() {
+      const { selectionContext, selectionText } = this.elements;
+      selectionContext.hidden = !this.pendingSelection;
+      selectionText.textContent = this.pendingSelection || '';
+    }
+
+    // The quoted page text above the user's message
+    renderSelectionQuote(bubble, text) {
+      const quote = document.createElement('blockquote');
+      quote.className = 'selection-quote';
+      quote.textContent = text;
+      bubble.insertBefore(quote, bubble.firstChild);
+    }
+
+    // Normalise a parsed reply into { text, lang, audio, toolCalls }
+    parseReply(data) {
+      const parsed = this.runSchemaStep('parseResponse', data);
+      const reply = parsed && typeof parsed === 'object' ? parsed : { text: parsed };
+      return {
+        ...reply,
+        text: typeof reply.text === 'string' ? reply.text : '',
+        lang: reply.lang ?? (data && data.lang),
+        audio: reply.audio ?? this.getReplyAudio(data),
+        toolCalls: this.normalizeToolCalls(reply.toolCalls),
+        handoff: this.normalizeHandoff(reply.handoff),
+        ...this.normalizeRichContent(reply)
+      };
+    }
+
+    // `handoff: true` or { reason, url } in a reply asks for a live agent
+    normalizeHandoff(handoff) {
+      if (!handoff) return null;
+      return typeof handoff === 'object' ? handoff : {};
+    }
+
+    // Suggested replies, link buttons and cards that can come with a reply
+    normalizeRichContent(source) {
+      const list = (items) => (Array.isArray(items) ? items.filter(Boolean) : []);
+      return {
+        suggestions: this.normalizeSuggestions(source.suggestions),
+        buttons: list(source.buttons).map(button => this.normalizeAction(button)).filter(Boolean),
+        cards: list(source.cards)
+          .filter(card => card.title || card.text || card.image)
+          .map(card => ({
+            title: card.title || '',
+            text: card.text || card.subtitle || '',
+            image: card.image ? safeUrl(card.image) : null,
+            action: this.normalizeAction(card.action)
+          }))
+      };
+    }
+
+    normalizeSuggestions(items) {
+      if (!Array.isArray(items)) return [];
+      return items
+        .map(item => (typeof item === 'string' ? { label: item, value: item } : item))
+        .filter(item => item && item.label)
+        .map(item => ({ label: String(item.label), value: String(item.value ?? item.label) }));
+    }
+
+    // { label, url } opens a link; { label, value } sends value as the user's message
+    normalizeAction(action) {
+      if (!action || !action.label) return null;
+      if (action.url) {
+        const url = safeUrl(action.url);
+        return url ? { label: String(action.label), url } : null;
+      }
+      return { label: String(action.label), value: String(action.value ?? action.label) };
+    }
+
+    // Tool calls as [{ id, name, arguments }] with arguments parsed from JSON strings
+    normalizeToolCalls(calls) {
+      if (!Array.isArray(calls)) return [];
+      return calls.filter(call => call && call.name).map((call, index) => {
+        let args = call.arguments ?? call.args ?? {};
+        if (typeof args === 'string') {
+          try {
+            args = args.trim() ? JSON.parse(args) : {};
+          } catch (e) {
+            error(`Invalid arguments for tool "${call.name}":`, e);
+            args = {};
+          }
+        }
+        return { id: call.id || `call_${Date.now()}_${index}`, name: call.name, arguments: args };
+      });
+    }
+
+    registerTool(name, handler, options = {}) {
+      if (!name || typeof handler !== 'function') {
+        error('registerTool needs a name and a handler function');
+        return;
+      }
+      this.tools.set(name, {
+        handler,
+        description: options.description || '',
+        parameters: options.parameters || { type: 'object', properties: {} },
+        confirm: options.confirm || false
+      });
+      log('Tool registered:', name);
+    }
+
+    unregisterTool(name) {
+      this.tools.delete(name);
+    }
+
+    getToolDefinitions() {
+      return Array.from(this.tools, ([name, tool]) => ({
+        name,
+        description: tool.description,
+        parameters: tool.parameters
+      }));
+    }
+
+    // Run the assistant's tool calls in order and collect results for the next request.
+    // Aborting `signal` declines any confirmation still waiting for the user.
+    async runToolCalls(calls, signal) {
+      const results = [];
+      for (const call of calls) {
+        const tool = this.tools.get(call.name);
+        let result;
+
+        if (!tool) {
+          result = { error: `Unknown tool: ${call.name}` };
+        } else if ((tool.confirm || this.config.confirmTools) && !(await this.confirmToolCall(call, tool, signal))) {
+          result = { error: 'The user declined this action' };
+        } else {
+          try {
+            result = await tool.handler(call.arguments, { name: call.name, sessionId: this.sessionId });
+          } catch (e) {
+            error(`Tool "${call.name}" failed:`, e);
+            result = { error: e.message || String(e) };
+          }
+        }
+
+        results.push({ id: call.id, name: call.name, result: result === undefined ? null : result });
+        this.emit('toolcall', { name: call.name, arguments: call.arguments, result });
+      }
+      return results;
+    }
+
+    // Ask the user in the transcript before running a tool; resolves to true when allowed,
+    // and to false when `signal` aborts first (stop, new conversation or destroy)
+    confirmToolCall(call, tool, signal) {
+      const summary = typeof tool.confirm === 'function'
+        ? tool.confirm(call.arguments)
+        : (tool.description || call.name);
+
+      return new Promise((resolve) => {
+        const card = document.createElement('div');
+        card.className = 'tool-confirm';
+        card.setAttribute('part', 'tool-confirm');
+
+        const text = document.createElement('div');
+        text.className = 'tool-confirm-text';
+        const title = document.createElement('strong');
+        title.textContent = this.t('toolRequest');
+        text.appendChild(title);
+        text.appendChild(document.createTextNode(' ' + summary));
+
+        const actions = document.createElement('div');
+        actions.className = 'tool-confirm-actions';
+        const onAbort = () => decide(false);
+        const decide = (allowed) => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          actions.textContent = this.t(allowed ? 'toolAllowed' : 'toolDenied');
+          card.classList.add(allowed ? 'allowed' : 'denied');
+          resolve(allowed);
+        };
+        [['allow', true], ['deny', false]].forEach(([key, allowed]) => {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.className = `tool-btn ${key}`;
+          button.textContent = this.t(key);
+          button.addEventListener('click', () => decide(allowed), { once: true });
+          actions.appendChild(button);
+        });
+
+        card.appendChild(text);
+        card.appendChild(actions);
+        this.hideLoading();
+        this.appendToTranscript(card);
+
+        if (signal) {
+          if (signal.aborted) decide(false);
+          else signal.addEventListener('abort', onAbort, { once: true });
+        }
+      });
+    }
+
+    wait(ms, signal) {
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(new DOMException('Aborted', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+
+    // authorizedFetch with a per-attempt timeout and exponential backoff on network
+    // errors, timeouts, 408/429 and 5xx. Aborting `signal` cancels immediately, and
+    // keeps cancelling the response body once it has been returned. `send` replaces
+    // authorizedFetch for uploads that need XHR progress.
+    async fetchWithRetry(url, options = {}, signal = null, send = (to, opts) => this.authorizedFetch(to, opts)) {
+      const { requestTimeout, maxRetries, retryBaseDelay } = this.config;
+
+      for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, requestTimeout);
+        if (signal) {
+          if (signal.aborted) controller.abort();
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        let response = null;
+        let failure = null;
+        try {
+          response = await send(url, { ...options, signal: controller.signal });
+        } catch (e) {
+          if (signal && signal.aborted) throw e;
+          failure = timedOut ? new Error(`Request timed out after ${requestTimeout}ms`) : e;
+        } finally {
+          clearTimeout(timer);
+        }
+
+        const retryable = Boolean(failure) || [408, 429].includes(response.status) || response.status >= 500;
+        if (!retryable || attempt >= maxRetries || !this.isOnline()) {
+          if (failure) throw failure;
+          return response;
+        }
+        if (signal) signal.removeEventListener('abort', onAbort);
+
+        const retryAfter = response ? Number(response.headers.get('Retry-After')) : 0;
+        const delay = retryAfter > 0
+          ? retryAfter * 1000
+          : retryBaseDelay * 2 ** attempt * (0.8 + Math.random() * 0.4);
+        log(`Request failed, retrying in ${Math.round(delay)}ms (${attempt + 1}/${maxRetries})`);
+        await this.wait(delay, signal);
+      }
+    }
+
+    // POST a recorded utterance to the transcription endpoint and return its text
+    async transcribeAudio(blob, lang) {
+      const form = new FormData();
+      form.append('audio', blob, 'speech.' + ((blob.type.split('/')[1] || 'webm').split(';')[0]));
+      form.append('sessionId', this.sessionId);
+      if (lang) form.append('language', lang);
+
+      const response = await this.fetchWithRetry(this.config.transcriptionEndpoint, {
+        method: 'POST',
+        body: form
+      });
+      if (!response.ok) throw new Error(`Transcription error: ${response.status}`);
+
+      const contentType = response.headers.get('Content-Type') || '';
+      if (!contentType.includes('json')) return response.text();
+      const data = await response.json();
+      return data.text ?? data.transcript ?? '';
+    }
+
+    setupSpeechRecognition() {
+      this.recognition = this.createRecognizer();
+      if (!this.recognition) {
+        log('Speech recognition not supported');
+        return;
+      }
+
+      this.recognition.onresult = (transcript) => {
+        // Ignore results if TTS is playing or we're suspended
+        if (this.ignoreRecognitionForTTS || this.suspendedForTTS) {
+          log('Ignoring recognition result due to TTS playback');
+          return;
+        }
+
+        if (this.isLikelyEcho(transcript)) {
+          log('Ignoring recognition result that echoes the assistant');
+          return;
+        }
+
+        log('Recognition result:', transcript);
+        this.setCaption('user', transcript);
+
+        // If in call mode, we don't necessarily need to populate the chat input
+        // But we should still process the message
+        this.sendMessage(transcript);
+      };
+
+      this.recognition.oninterim = (text) => {
+        if (this.ignoreRecognitionForTTS || this.suspendedForTTS) return;
+        this.setCaption('user', text);
+      };
+
+      // Handle recognition ending - restart only if intentionally stopped
+      this.recognition.onend = () => {
+        this.isRecording = false;
+        // Update visual state if in call
+        if (this.elements.voiceBtn) this.setMicActive(false);
+        this.elements.visualizers.forEach(v => v.classList.remove('animate'));
+
+        // Skip auto-restart if we intentionally paused for TTS
+        if (this.suspendedForTTS) return;
+
+        // Only restart if we're still in a call and recognition ended unexpectedly
+        if (this.isInCall && this.shouldKeepListening) {
+          this.restartRecognition();
+        } else if (this.isInCall) {
+          // Muted, on hold, or stopped listening (maybe error?)
+          this.setStatus(this.getIdleCallStatus());
+        }
+      };
+
+      this.recognition.onerror = (code) => {
+        error('Speech recognition error:', code);
+        this.isRecording = false;
+        if (this.elements.voiceBtn) this.setMicActive(false);
+        this.elements.visualizers.forEach(v => v.classList.remove('animate'));
+
+        // Don't restart on permission errors to avoid loops
+        if (code === 'not-allowed') {
+          error('Microphone permission denied');
+          this.shouldKeepListening = false;
+          this.setStatus('micDenied');
+        }
+        this.emit('error', { source: 'recognition', error: code });
+      };
+    }
+
+    // Controlled restart function to avoid permission issues
+    restartRecognition() {
+      if (!this.recognition || !this.shouldKeepListening) {
+        log('Cannot restart recognition - missing recognition or shouldKeepListening is false');
+        return;
+      }
+
+      try {
+        // Use a short delay to avoid Chrome's throttling
+        setTimeout(() => {
+          // Barge-in keeps recognition running through TTS, so it may still be active
+          if (this.isInCall && this.shouldKeepListening && !this.suspendedForTTS && !this.isRecording) {
+            log('Restarting speech recognition...');
+            this.recognition.start();
+            this.isRecording = true;
+            if (this.elements.voiceBtn) this.setMicActive(true);
+            this.elements.visualizers.forEach(v => v.classList.add('animate'));
+            this.setStatus('listening');
+            log('Speech recognition restarted successfully');
+          }
+        }, 100);
+      } catch (e) {
+        error('Failed to restart recognition:', e);
+        this.shouldKeepListening = false;
+      }
+    }
+
+    setupSpeechSynthesis() {
+      if ('speechSynthesis' in window) {
+        this.synthesis = window.speechSynthesis;
+        // Voices load asynchronously in Chrome
+        if (this.synthesis.addEventListener) {
+          this.synthesis.addEventListener('voiceschanged', this.onVoicesChanged);
+        }
+        this.selectVoice();
+      } else {
+        log('Speech synthesis not supported');
+      }
+    }
+
+    bindEvents() {
+      // FAB button
+      this.elements.fab.addEventListener('click', () => {
+        this.openWidget();
+      });
+
+      // "Ask about this": keep the page selection while the button is pressed
+      this.elements.askSelectionBtn.addEventListener('mousedown', (e) => e.preventDefault());
+      this.elements.askSelectionBtn.addEventListener('click', () => this.askAboutSelection());
+      this.elements.removeSelectionBtn.addEventListener('click', () => {
+        this.clearSelectionContext();
+        this.elements.messageInput.focus();
+      });
+
+      // Proactive teaser: the text opens the chat with its greeting
+      this.elements.teaserText.addEventListener('click', () => {
+        this.openWidget();
+      });
+
+      this.elements.teaserClose.addEventListener('click', () => {
+        this.hideTeaser();
+        this.emit('teaserdismiss');
+      });
+
+      // Close button
+      this.elements.closeBtn.addEventListener('click', () => {
+        this.requestClose();
+      });
+
+      // Layout controls
+      this.elements.expandBtn.addEventListener('click', () => {
+        this.setExpanded();
+      });
+
+      this.elements.resizeHandle.addEventListener('pointerdown', (e) => this.startResize(e));
+      this.elements.resizeHandle.addEventListener('keydown', (e) => this.handleResizeKeydown(e));
+      this.elements.resizeHandle.addEventListener('dblclick', () => this.resetPanelSize());
+
+      // New conversation button
+      this.elements.newChatBtn.addEventListener('click', () => {
+        this.newConversation();
+      });
+
+      // Tab Switching
+      this.elements.tabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+          this.switchTab(tab.dataset.tab);
+        });
+        tab.addEventListener('keydown', (e) => this.handleTabKeydown(e));
+      });
+
+      this.elements.container.addEventListener('keydown', (e) => this.handlePanelKeydown(e));
+
+      // Transcript menu
+      this.elements.menuBtn.addEventListener('click', () => {
+        if (this.elements.headerMenu.hidden) this.openHeaderMenu();
+        else this.closeHeaderMenu();
+      });
+
+      this.elements.headerMenu.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-action]');
+        if (item) this.handleMenuAction(item.dataset.action);
+      });
+
+      this.elements.headerMenu.addEventListener('keydown', (e) => this.handleMenuKeydown(e));
+
+      // Clicking anywhere else closes the menu
+      this.elements.container.addEventListener('click', (e) => {
+        if (this.elements.headerMenu.hidden) return;
+        if (!this.elements.headerMenu.contains(e.target) && !this.elements.menuBtn.contains(e.target)) {
+          this.closeHeaderMenu();
+        }
+      });
+
+      this.elements.emailForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const email = this.elements.emailInput.value.trim();
+        if (!email) return;
+        this.elements.emailForm.hidden = true;
+        this.emailTranscript(email).catch(() => {});
+      });
+
+      // Call Button (Mic in Call View)
+      this.elements.voiceBtn.addEventListener('click', () => {
+        if (!this.isInCall) {
+          this.startCall();
+        } else if (this.call && (this.call.muted || this.call.held)) {
+          // Tapping the mic while muted or on hold resumes listening
+          if (this.call.muted) this.setMuted(false);
+          if (this.call.held) this.setHeld(false);
+        } else {
+          // Toggle recording/listening logic if already in call layout
+          this.toggleRecording();
+        }
+      });
+
+      this.elements.muteBtn.addEventListener('click', () => this.setMuted());
+      this.elements.holdBtn.addEventListener('click', () => this.setHeld());
+      this.elements.speakerBtn.addEventListener('click', () => this.setSpeaker());
+
+      // End call button
+      this.elements.endCallBtn.addEventListener('click', () => {
+        this.endCall();
+      });
+
+      // Send Button
+      this.elements.sendBtn.addEventListener('click', () => {
+        this.submitInput();
+      });
+
+      // Attachments: file picker, paste and drag-and-drop onto the chat view
+      this.elements.attachBtn.addEventListener('click', () => {
+        this.elements.fileInput.click();
+      });
+
+      this.elements.fileInput.addEventListener('change', () => {
+        this.addAttachments(this.elements.fileInput.files);
+        this.elements.fileInput.value = '';
+      });
+
+      this.elements.messageInput.addEventListener('paste', (e) => {
+        const files = e.clipboardData ? Array.from(e.clipboardData.files || []) : [];
+        if (!files.length || !this.acceptsAttachments()) return;
+        e.preventDefault();
+        this.addAttachments(files);
+      });
+
+      const chatView = this.elements.chatView;
+      const hasFiles = (e) => this.acceptsAttachments() && e.dataTransfer &&
+        Array.from(e.dataTransfer.types || []).includes('Files');
+
+      chatView.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        chatView.dataset.dropLabel = this.t('dropFiles');
+        chatView.classList.add('drag-over');
+      });
+
+      chatView.addEventListener('dragleave', (e) => {
+        if (!chatView.contains(e.relatedTarget)) chatView.classList.remove('drag-over');
+      });
+
+      chatView.addEventListener('drop', (e) => {
+        chatView.classList.remove('drag-over');
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        this.addAttachments(e.dataTransfer.files);
+      });
+
+      // Stop generating
+      this.elements.stopBtn.addEventListener('click', () => {
+        this.stopGenerating();
+      });
+
+      // Ask for a person, or leave the live agent chat
+      this.elements.handoffBtn.addEventListener('click', () => {
+        this.startHandoff({ reason: 'user' });
+      });
+      this.elements.endHandoffBtn.addEventListener('click', () => {
+        this.endHandoff('user');
+      });
+
+      // Let the agent see that the user is typing (at most every few seconds)
+      this.elements.messageInput.addEventListener('input', () => {
+        if (!this.handoff || this.handoff.status !== 'connected') return;
+        const now = Date.now();
+        if (now - (this.handoff.lastTypingAt || 0) < 3000) return;
+        this.handoff.lastTypingAt = now;
+        this.sendToAgent({ type: 'typing', typing: true });
+      });
+
+      // Handle text input on Enter key
+      this.elements.messageInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+          this.submitInput();
+        }
+      });
+    }
+
+    // Send the typed text with any pending attachments (either may be empty, not both)
+    submitInput() {
+      const message = this.elements.messageInput.value.trim();
+      if (!message && !this.pendingAttachments.length) return;
+
+      const attachments = this.pendingAttachments;
+      this.pendingAttachments = [];
+      this.renderAttachmentTray();
+      this.sendMessage(message, attachments);
+      this.elements.messageInput.value = '';
+    }
+
+    // Live agents only receive text, so files are refused during a handoff
+    acceptsAttachments() {
+      return Boolean(this.config.attachments) && !this.handoff;
+    }
+
+    addAttachments(files) {
+      if (!this.acceptsAttachments()) return;
+      const { maxAttachments, maxAttachmentSize } = this.config;
+      const problems = [];
+
+      for (const file of Array.from(files || [])) {
+        if (this.pendingAttachments.length >= maxAttachments) {
+          problems.push(this.t('tooManyFiles').replace('{max}', maxAttachments));
+          break;
+        }
+        if (!this.isAllowedAttachment(file)) {
+          problems.push(this.t('fileTypeNotAllowed').replace('{name}', file.name));
+        } else if (file.size > maxAttachmentSize) {
+          problems.push(this.t('fileTooLarge').replace('{name}', file.name).replace('{max}', formatFileSize(maxAttachmentSize)));
+        } else {
+          const previewUrl = file.type.startsWith('image/') && window.URL && URL.createObjectURL
+            ? URL.createObjectURL(file)
+            : null;
+          this.pendingAttachments.push({ file, previewUrl });
+        }
+      }
+
+      this.renderAttachmentTray(problems);
+    }
+
+    isAllowedAttachment(file) {
+      const types = this.config.attachmentTypes;
+      if (!types || !types.length) return true;
+      const name = file.name.toLowerCase();
+      return types.some(type => {
+        if (type.startsWith('.')) return name.endsWith(type.toLowerCase());
+        if (type.endsWith('/*')) return file.type.startsWith(type.slice(0, -1));
+        return file.type === type;
+      });
+    }
+
+    removeAttachment(attachment) {
+      this.pendingAttachments = this.pendingAttachments.filter(item => item !== attachment);
+      this.releaseAttachments([attachment]);
+      this.renderAttachmentTray();
+    }
+
+    // Free the image previews' object URLs once they are no longer shown or needed
+    releaseAttachments(attachments) {
+      attachments.forEach(attachment => {
+        if (attachment.previewUrl) URL.revokeObjectURL(attachment.previewUrl);
+        attachment.previewUrl = null;
+      });
+    }
+
+    // Previews of the files waiting to be sent, plus any problems from the last pick
+    renderAttachmentTray(problems = []) {
+      const tray = this.elements.attachmentTray;
+      tray.textContent = '';
+
+      this.pendingAttachments.forEach(attachment => {
+        const item = this.createAttachmentPreview({
+          name: attachment.file.name,
+          type: attachment.file.type,
+          size: attachment.file.size,
+          previewUrl: attachment.previewUrl
+        });
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'attachment-remove';
+        removeBtn.title = this.t('removeAttachment');
+        removeBtn.setAttribute('aria-label', `${this.t('removeAttachment')} ${attachment.file.name}`);
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => this.removeAttachment(attachment));
+        item.appendChild(removeBtn);
+        tray.appendChild(item);
+      });
+
+      problems.forEach(problem => {
+        const note = document.createElement('div');
+        note.className = 'attachment-error';
+        note.textContent = problem;
+        tray.appendChild(note);
+      });
+
+      tray.hidden = !tray.childElementCount;
+    }
+
+    // Thumbnail for images, otherwise a file chip; linked once the file has a URL
+    createAttachmentPreview({ name, type, size, previewUrl, url }) {
+      const item = document.createElement('div');
+      item.className = 'attachment';
+      item.setAttribute('part', 'attachment');
+      const src = previewUrl || (url && safeUrl(url));
+
+      if (src && type && type.startsWith('image/')) {
+        const image = document.createElement('img');
+        image.src = src;
+        image.alt = name;
+        item.appendChild(image);
+      } else {
+        const label = `${name}${size ? ` (${formatFileSize(size)})` : ''}`;
+        item.appendChild(url && safeUrl(url)
+          ? createLink(safeUrl(url), label, true)
+          : Object.assign(document.createElement('span'), { textContent: label }));
+        item.classList.add('file');
+      }
+      return item;
+    }
+
+    // Attachments inside a message bubble, each with a progress bar while uploading
+    renderAttachments(bubble, attachments) {
+      const list = document.createElement('div');
+      list.className = 'message-attachments';
+      attachments.forEach(attachment => {
+        const meta = attachment.file
+          ? { name: attachment.file.name, type: attachment.file.type, size: attachment.file.size, previewUrl: attachment.previewUrl }
+          : attachment;
+        const item = this.createAttachmentPreview(meta);
+        if (attachment.file) {
+          const progress = document.createElement('div');
+          progress.className = 'upload-progress';
+          item.appendChild(progress);
+          attachment.progressEl = progress;
+        }
+        list.appendChild(item);
+      });
+      bubble.appendChild(list);
+    }
+
+    setUploadProgress(attachments, fraction) {
+      attachments.forEach(attachment => {
+        if (!attachment.progressEl) return;
+        attachment.progressEl.style.width = `${Math.round(fraction * 100)}%`;
+        attachment.progressEl.classList.toggle('done', fraction >= 1);
+      });
+    }
+
+    openWidget({ focus = true } = {}) {
+      // Focus goes back here on close (the host element when the FAB opened us)
+      if (!this.isOpen) this.lastFocused = document.activeElement;
+      this.isOpen = true;
+      // Opening while a teaser shows (from it or the FAB) continues with its greeting
+      const greeting = this.teaserGreeting;
+      this.hideTeaser();
+      if (greeting) this.showGreeting(greeting);
+      this.unreadCount = 0;
+      this.renderUnreadBadge();
+      this.elements.container.classList.add('open');
+      this.elements.container.removeAttribute('inert');
+      this.elements.container.setAttribute('aria-hidden', 'false');
+      this.elements.fab.setAttribute('aria-expanded', 'true');
+      this.elements.fab.classList.add('hidden');
+      this.elements.fab.style.display = 'none';
+      if (!focus) {
+        // Leave focus where it is
+      } else if (this.activeTab === 'chat') {
+        this.elements.messageInput.focus();
+      } else {
+        this.elements.voiceBtn.focus();
+      }
+      this.persistSession();
+      this.emit('open');
+    }
+
+    closeWidget() {
+      if (this.isInline) return;
+      const hadFocus = Boolean(this.shadowRoot.activeElement);
+      this.isOpen = false;
+      this.elements.container.classList.remove('open');
+      this.elements.container.setAttribute('inert', '');
+      this.elements.container.setAttribute('aria-hidden', 'true');
+      this.elements.fab.setAttribute('aria-expanded', 'false');
+      this.elements.fab.classList.remove('hidden');
+      this.elements.fab.style.display = 'flex';
+
+      // Only move focus if it was inside the panel (not when closed from host code)
+      if (hadFocus) {
+        const target = this.lastFocused;
+        if (target && target !== this.host && target !== document.body && target.isConnected) {
+          target.focus();
+        } else {
+          this.elements.fab.focus();
+        }
+      }
+      this.lastFocused = null;
+      this.persistSession();
+      this.emit('close');
+    }
+
+    startCall() {
+      // Force switch to call tab
+      this.switchTab('call');
+
+      this.isInCall = true;
+      this.shouldKeepListening = true;
+      this.call = {
+        startedAt: Date.now(),
+        muted: false,
+        held: false,
+        // Where this call's messages start, for the summary
+        historyStart: this.history.length,
+        timer: setInterval(() => this.renderCallBar(), 1000)
+      };
+      this.renderCallBar();
+      this.setStatus('connecting');
+      this.emit('callstart');
+      this.toggleRecording();
+      this.startAudioMonitor();
+    }
+
+    endCall() {
+      const call = this.call;
+      if (call) clearInterval(call.timer);
+      if (call && call.muted) this.setMicEnabled(true);
+      this.call = null;
+      this.shouldKeepListening = false;
+      this.isInCall = false;
+      this.isRecording = false;
+      this.stopBargeInMonitor();
+      this.stopAudioMonitor();
+      this.renderCallBar();
+      this.setCaption(null);
+
+      if (this.recognition) {
+        this.recognition.stop();
+      }
+
+      // Update UI
+      this.setMicActive(false);
+      this.elements.visualizers.forEach(v => v.classList.remove('animate'));
+      this.setStatus('callEnded');
+
+      // Maybe switch back to chat after a second?
+      setTimeout(() => {
+        if (this.statusKey === 'callEnded') {
+          this.setStatus('tapToStart');
+        }
+      }, 1500);
+
+      log('Call ended');
+      const summary = call ? this.postCallSummary(call) : null;
+      this.emit('callend', summary || {});
+      if (this.shouldShowSurvey()) this.showSurvey('endCall');
+    }
+
+    // Call bar: timer and the mute/hold/speaker toggles
+    renderCallBar() {
+      if (!this.elements) return;
+      const { callTimer, muteBtn, holdBtn, speakerBtn } = this.elements;
+      const call = this.call;
+      callTimer.hidden = !call;
+      if (call) callTimer.textContent = formatDuration(Date.now() - call.startedAt);
+      muteBtn.disabled = !call;
+      holdBtn.disabled = !call;
+      muteBtn.setAttribute('aria-pressed', String(Boolean(call && call.muted)));
+      holdBtn.setAttribute('aria-pressed', String(Boolean(call && call.held)));
+      speakerBtn.setAttribute('aria-pressed', String(this.speakerOn));
+      speakerBtn.firstElementChild.textContent = this.speakerOn ? '🔊' : '🔈';
+    }
+
+    // Status shown while the call isn't listening
+    getIdleCallStatus() {
+      if (this.call && this.call.held) return 'onHold';
+      if (this.call && this.call.muted) return 'muted';
+      return 'tapToSpeak';
+    }
+
+    // Pause or resume recognition without ending the call
+    setListening(listening) {
+      this.shouldKeepListening = listening;
+      if (listening) {
+        // Speech in progress resumes recognition when it finishes
+        if (!this.suspendedForTTS) this.restartRecognition();
+        return;
+      }
+      if (this.isRecording && this.recognition) this.recognition.stop();
+      this.setCaption(null);
+      this.setStatus(this.getIdleCallStatus());
+    }
+
+    // Muting disables the mic tracks, so the level monitor and barge-in only get silence.
+    // The stream itself stays open (it lives as long as the widget), so unmuting is instant.
+    setMuted(muted = !(this.call && this.call.muted)) {
+      if (!this.call) return;
+      this.call.muted = Boolean(muted);
+      this.setMicEnabled(!this.call.muted);
+      if (!this.call.held) {
+        this.setListening(!this.call.muted);
+        if (this.call.muted) this.stopAudioMonitor();
+        else this.startAudioMonitor();
+      }
+      this.renderCallBar();
+      log(this.call.muted ? 'Call muted' : 'Call unmuted');
+      this.emit('callmute', { muted: this.call.muted });
+    }
+
+    setMicEnabled(enabled) {
+      if (!this.micStream) return;
+      this.micStream.getAudioTracks().forEach(track => {
+        track.enabled = enabled;
+      });
+    }
+
+    // Hold pauses listening and speech; the call (and its timer) keep running
+    setHeld(held = !(this.call && this.call.held)) {
+      if (!this.call) return;
+      this.call.held = Boolean(held);
+      if (this.call.held) {
+        this.stopSpeaking({ resume: false });
+        this.suspendedForTTS = false;
+        this.ignoreRecognitionForTTS = false;
+        this.setListening(false);
+        this.stopAudioMonitor();
+      } else {
+        if (!this.call.muted) this.startAudioMonitor();
+        this.setListening(!this.call.muted);
+        if (this.call.muted) this.setStatus('muted');
+      }
+      this.renderCallBar();
+      log(this.call.held ? 'Call on hold' : 'Call resumed');
+      this.emit('callhold', { held: this.call.held });
+    }
+
+    // Speaker off silences TTS; replies still show in the captions and the transcript
+    setSpeaker(on = !this.speakerOn) {
+      this.speakerOn = Boolean(on);
+      if (!this.speakerOn) this.stopSpeaking();
+      this.renderCallBar();
+      this.emit('speaker', { on: this.speakerOn });
+    }
+
+    // Caption strip in the call view; null clears it
+    setCaption(role, text) {
+      if (!this.elements) return;
+      const { captions, captionSpeaker, captionText } = this.elements;
+      const show = Boolean(role && text && this.call && this.config.captions);
+      captions.hidden = !show;
+      if (!show) return;
+      captions.dataset.role = role;
+      captionSpeaker.dataset.i18n = role === 'user' ? 'you' : 'assistant';
+      captionSpeaker.textContent = this.t(captionSpeaker.dataset.i18n);
+      captionText.textContent = text;
+    }
+
+    // Mark the end of a call in the chat transcript with its length and message count
+    postCallSummary(call) {
+      const endedAt = Date.now();
+      const messages = this.history.slice(call.historyStart)
+        .filter(entry => (entry.role === 'user' || entry.role === 'assistant') && entry.content)
+        .map(({ role, content, agent, timestamp }) => ({ role, content, agent, timestamp }));
+      const summary = { startedAt: call.startedAt, endedAt, duration: endedAt - call.startedAt, messages };
+      if (!this.config.callSummary || !this.elements) return summary;
+
+      // Kept in the history (never sent to the backend) so it survives reloads and exports
+      const record = {
+        startedAt: summary.startedAt,
+        endedAt,
+        duration: summary.duration,
+        turns: messages.map(({ role, content, agent }) => {
+          const text = stripMarkdown(content).replace(/\s+/g, ' ').trim();
+          return { role, agent, content: text.length > 80 ? `${text.slice(0, 79)}…` : text };
+        })
+      };
+      this.history.push({ role: 'call', call: record, timestamp: endedAt });
+      this.persistSession();
+      this.renderCallSummary(record);
+      this.markUnread();
+      return summary;
+    }
+
+    // The card for a finished call: duration, message count and one line per turn
+    renderCallSummary(record) {
+      const card = document.createElement('div');
+      card.className = 'call-summary';
+      card.setAttribute('part', 'call-summary');
+      const title = document.createElement('div');
+      title.className = 'call-summary-title';
+      title.textContent = this.getCallSummaryTitle(record);
+      const detail = document.createElement('div');
+      detail.className = 'call-summary-detail';
+      detail.textContent = this.getCallSummaryDetail(record);
+      card.append(title, detail);
+
+      if (record.turns.length) {
+        const list = document.createElement('ul');
+        list.className = 'call-summary-turns';
+        record.turns.forEach(turn => {
+          const item = document.createElement('li');
+          item.textContent = `${this.getSpeakerName(turn)}: ${turn.content}`;
+          list.appendChild(item);
+        });
+        card.appendChild(list);
+      }
+      this.appendToTranscript(card);
+    }
+
+    getCallSummaryTitle(record) {
+      return this.t('callSummaryTitle').replace('{duration}', formatDuration(record.duration));
+    }
+
+    getCallSummaryDetail(record) {
+      return record.turns.length
+        ? this.t('callSummaryMessages').replace('{count}', record.turns.length)
+        : this.t('callSummaryEmpty');
+    }
+
+    toggleRecording() {
+      if (!this.recognition) {
+        alert(this.t('speechUnsupported'));
+        return;
+      }
+
+      if (this.isRecording) {
+        // Stop recording
+        this.shouldKeepListening = false; // Pause listening
+        this.recognition.stop();
+        // Note: onend will handle UI removal
+      } else {
+        // Start recording
+        this.shouldKeepListening = true;
+        try {
+          this.recognition.start();
+          this.isRecording = true;
+          this.setMicActive(true);
+          this.elements.visualizers.forEach(v => v.classList.add('animate'));
+          this.setStatus('listening');
+        } catch (e) {
+          error('Failed to start recognition:', e);
+          this.shouldKeepListening = false;
+          this.setStatus('micError');
+        }
+      }
+    }
+
+    addMessage(content, role = 'user') {
+      const messageDiv = document.createElement('div');
+      messageDiv.className = `message ${role}`;
+      messageDiv.setAttribute('part', `message ${role}-message`);
+      this.renderMessageContent(messageDiv, content, role);
+
+      this.appendToTranscript(messageDiv);
+      return messageDiv;
+    }
+
+    // Queued user messages stay at the bottom until their turn, so replies to earlier
+    // messages are inserted above them
+    appendToTranscript(node) {
+      const container = this.elements.chatContainer;
+      const firstQueued = container.querySelector('.message.queued');
+      if (firstQueued && !node.classList.contains('queued')) {
+        container.insertBefore(node, firstQueued);
+      } else {
+        container.appendChild(node);
+      }
+      container.scrollTop = container.scrollHeight;
+    }
+
+    // Show 'queued', 'offline' or 'failed' under a user message; null clears it
+    setDeliveryState(entry, state) {
+      entry.bubble.classList.toggle('queued', state === 'queued' || state === 'offline');
+      if (entry.statusEl) {
+        entry.statusEl.remove();
+        entry.statusEl = null;
+      }
+      if (!state) return;
+
+      const status = document.createElement('div');
+      status.className = `message-status ${state}`;
+      const label = document.createElement('span');
+      label.textContent = this.t({ queued: 'queued', offline: 'waitingForConnection', failed: 'notDelivered' }[state]);
+      status.appendChild(label);
+
+      if (state === 'failed') {
+        const retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.className = 'retry-btn';
+        retryBtn.textContent = this.t('retry');
+        retryBtn.addEventListener('click', () => this.retryMessage(entry));
+        status.appendChild(retryBtn);
+      }
+
+      entry.bubble.after(status);
+      entry.statusEl = status;
+    }
+
+    renderMessageContent(messageDiv, content, role) {
+      if (role === 'assistant' && this.config.markdown) {
+        messageDiv.textContent = '';
+        messageDiv.appendChild(renderMarkdown(content || '', {
+          copy: this.t('copy'),
+          copied: this.t('copied')
+        }));
+      } else {
+        messageDiv.textContent = content;
+      }
+    }
+
+    addWelcomeMessage() {
+      this.addMessage(this.config.welcomeMessage || this.t('welcome'), 'assistant');
+      this.showQuickReplies(this.normalizeSuggestions(this.config.starterPrompts));
+    }
+
+    // A trigger's greeting replaces the generic welcome. It is kept in history so the
+    // backend knows what the visitor is replying to.
+    showGreeting({ message, suggestions }) {
+      if (this.history.length) return;
+      this.elements.chatContainer.innerHTML = '';
+      const bubble = this.addMessage(message, 'assistant');
+      this.history.push({ role: 'assistant', content: message, timestamp: Date.now() });
+      this.persistSession();
+      this.addFeedbackControls(bubble, this.history.length - 1);
+      this.showQuickReplies(this.normalizeSuggestions(suggestions || this.config.starterPrompts));
+    }
+
+    markUnread() {
+      if (this.isOpen || !this.config.unreadBadge) return;
+      this.unreadCount++;
+      this.renderUnreadBadge();
+    }
+
+    renderUnreadBadge() {
+      const { fab, fabBadge } = this.elements;
+      const count = this.unreadCount;
+      fabBadge.hidden = count === 0;
+      fabBadge.textContent = count > 9 ? '9+' : String(count);
+      fab.setAttribute('aria-label', count
+        ? this.t('openChatUnread').replace('{count}', count)
+        : this.t('openChat'));
+    }
+
+    loadFiredTriggers() {
+      try {
+        return new Set(JSON.parse(window.sessionStorage.getItem(`${this.config.storageKey}:triggers`) || '[]'));
+      } catch (e) {
+        return new Set();
+      }
+    }
+
+    saveFiredTriggers() {
+      try {
+        window.sessionStorage.setItem(`${this.config.storageKey}:triggers`, JSON.stringify([...this.firedTriggers]));
+      } catch (e) {
+        log('Could not save fired triggers:', e.message);
+      }
+    }
+
+    normalizeTriggers(triggers) {
+      if (!triggers) return [];
+      return [].concat(triggers).filter((trigger, index) => {
+        if (!trigger || !TRIGGER_TYPES.includes(trigger.type)) {
+          error(`Ignoring trigger ${index}: type must be one of ${TRIGGER_TYPES.join(', ')}`);
+          return false;
+        }
+        if (trigger.type === 'event' && !trigger.name) {
+          error(`Ignoring trigger ${index}: event triggers need a name`);
+          return false;
+        }
+        if (trigger.type === 'url' && !trigger.url) {
+          error(`Ignoring trigger ${index}: url triggers need a url pattern`);
+          return false;
+        }
+        const amount = trigger.type === 'time' ? 'seconds' : trigger.type === 'scroll' ? 'percent' : null;
+        if (amount && !(Number(trigger[amount] ?? 0) >= 0)) {
+          error(`Ignoring trigger ${index}: ${amount} must be a number from 0`);
+          return false;
+        }
+        return true;
+      }).map((trigger, index) => ({ ...trigger, id: trigger.id || `${trigger.type}-${index}` }));
+    }
+
+    // Arm the configured triggers; each listener is removed by stopTriggers()
+    startTriggers() {
+      this.stopTriggers();
+      const listen = (target, event, handler, options) => {
+        target.addEventListener(event, handler, options);
+        this.triggerCleanups.push(() => target.removeEventListener(event, handler, options));
+      };
+
+      this.normalizeTriggers(this.config.triggers).forEach(trigger => {
+        const fire = (detail) => this.fireTrigger(trigger, detail);
+        switch (trigger.type) {
+          case 'time': {
+            const timer = setTimeout(fire, Number(trigger.seconds ?? 30) * 1000);
+            this.triggerCleanups.push(() => clearTimeout(timer));
+            break;
+          }
+          case 'scroll': {
+            const percent = Number(trigger.percent ?? 50);
+            listen(window, 'scroll', () => {
+              const { scrollHeight } = document.documentElement;
+              if ((window.scrollY + window.innerHeight) / scrollHeight * 100 >= percent) fire();
+            }, { passive: true });
+            break;
+          }
+          case 'exitIntent':
+            // The pointer leaving through the top of the viewport (towards tabs or the address bar)
+            listen(document, 'mouseout', (e) => {
+              if (!e.relatedTarget && e.clientY <= 0) fire();
+            });
+            break;
+          case 'url':
+            fire();
+            // Single-page apps change the URL without a page load
+            this.triggerCleanups.push(watchHistory());
+            listen(window, URL_CHANGE_EVENT, () => fire());
+            listen(window, 'popstate', () => fire());
+            listen(window, 'hashchange', () => fire());
+            break;
+          case 'event':
+            listen(window, trigger.name, (e) => fire(e.detail));
+            break;
+        }
+      });
+    }
+
+    stopTriggers() {
+      this.triggerCleanups.forEach(remove => remove());
+      this.triggerCleanups = [];
+    }
+
+    // Show a trigger's teaser or open with its greeting. Visitors already chatting, an open
+    // panel and triggers that fired earlier this browser session are left alone.
+    fireTrigger(trigger, detail) {
+      if (this.destroyed || this.isOpen || this.history.length || this.teaserGreeting) return false;
+      if (trigger.once !== false && this.firedTriggers.has(trigger.id)) return false;
+      if (trigger.url && !matchesUrlPattern(trigger.url)) return false;
+
+      const extra = detail && typeof detail === 'object' ? detail : {};
+      const greeting = {
+        message: extra.message || trigger.message || this.config.welcomeMessage || this.t('welcome'),
+        suggestions: extra.suggestions || trigger.suggestions
+      };
+      const action = trigger.action === 'open' ? 'open' : 'teaser';
+      this.firedTriggers.add(trigger.id);
+      this.saveFiredTriggers();
+      log('Trigger fired:', trigger.id);
+      this.emit('trigger', { id: trigger.id, type: trigger.type, action });
+
+      if (action === 'open') {
+        // Opened for the visitor, so focus stays on the page
+        this.openWidget({ focus: false });
+        this.showGreeting(greeting);
+      } else {
+        this.showTeaser(greeting);
+      }
+      return true;
+    }
+
+    // Fire a configured trigger by id, or an ad-hoc one ({ message, suggestions, action })
+    runTrigger(trigger) {
+      if (typeof trigger === 'string') {
+        const configured = this.normalizeTriggers(this.config.triggers).find(t => t.id === trigger);
+        if (!configured) {
+          error(`Unknown trigger "${trigger}"`);
+          return false;
+        }
+        return this.fireTrigger({ ...configured, once: false });
+      }
+      return this.fireTrigger({ id: 'api', once: false, ...trigger, type: 'api' });
+    }
+
+    showTeaser(greeting) {
+      this.teaserGreeting = greeting;
+      this.elements.teaserText.textContent = stripMarkdown(greeting.message);
+      this.elements.teaser.hidden = false;
+    }
+
+    hideTeaser() {
+      this.teaserGreeting = null;
+      this.elements.teaser.hidden = true;
+    }
+
+    renderRichContent({ suggestions = [], buttons = [], cards = [] }) {
+      if (cards.length) {
+        const list = document.createElement('div');
+        list.className = 'cards';
+        list.setAttribute('part', 'cards');
+        cards.forEach(card => list.appendChild(this.createCard(card)));
+        this.appendToTranscript(list);
+      }
+
+      if (buttons.length) {
+        const row = document.createElement('div');
+        row.className = 'action-buttons';
+        row.setAttribute('part', 'action-buttons');
+        buttons.forEach(button => row.appendChild(this.createAction(button, 'action-btn')));
+        this.appendToTranscript(row);
+      }
+
+      this.showQuickReplies(suggestions);
+    }
+
+    createCard(card) {
+      const cardEl = document.createElement('div');
+      cardEl.className = 'card';
+      cardEl.setAttribute('part', 'card');
+
+      if (card.image) {
+        const image = document.createElement('img');
+        image.src = card.image;
+        image.alt = card.title;
+        image.loading = 'lazy';
+        cardEl.appendChild(image);
+      }
+
+      const body = document.createElement('div');
+      body.className = 'card-body';
+      if (card.title) {
+        const title = document.createElement('div');
+        title.className = 'card-title';
+        title.textContent = card.title;
+        body.appendChild(title);
+      }
+      if (card.text) {
+        const text = document.createElement('div');
+        text.className = 'card-text';
+        text.textContent = card.text;
+        body.appendChild(text);
+      }
+      if (card.action) body.appendChild(this.createAction(card.action, 'card-action'));
+      cardEl.appendChild(body);
+      return cardEl;
+    }
+
+    // A link for { url } actions, otherwise a button that sends the action's value
+    createAction(action, className) {
+      let element;
+      if (action.url) {
+        element = createLink(action.url, action.label, true);
+      } else {
+        element = document.createElement('button');
+        element.type = 'button';
+        element.textContent = action.label;
+        element.addEventListener('click', () => this.sendMessage(action.value));
+      }
+      element.className = className;
+      return element;
+    }
+
+    // Only the latest suggestions are offered; they go away once the user sends anything
+    showQuickReplies(suggestions) {
+      this.clearQuickReplies();
+      if (!suggestions.length) return;
+
+      const row = document.createElement('div');
+      row.className = 'quick-replies';
+      row.setAttribute('part', 'quick-replies');
+      suggestions.forEach(({ label, value }) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'chip';
+        chip.setAttribute('part', 'chip');
+        chip.textContent = label;
+        chip.addEventListener('click', () => this.sendMessage(value));
+        row.appendChild(chip);
+      });
+      this.appendToTranscript(row);
+    }
+
+    clearQuickReplies() {
+      this.elements.chatContainer.querySelectorAll('.quick-replies').forEach(row => row.remove());
+    }
+
+    openHeaderMenu() {
+      this.elements.emailForm.hidden = true;
+      this.elements.headerMenu.hidden = false;
+      this.elements.menuBtn.setAttribute('aria-expanded', 'true');
+      const first = this.getMenuItems()[0];
+      if (first) first.focus();
+    }
+
+    closeHeaderMenu() {
+      this.elements.headerMenu.hidden = true;
+      this.elements.menuBtn.setAttribute('aria-expanded', 'false');
+    }
+
+    getMenuItems() {
+      return Array.from(this.elements.headerMenu.querySelectorAll('[role="menuitem"]')).filter(item => !item.hidden);
+    }
+
+    handleMenuKeydown(e) {
+      const items = this.getMenuItems();
+      const index = items.indexOf(this.shadowRoot.activeElement);
+      const next = {
+        ArrowDown: (index + 1) % items.length,
+        ArrowUp: (index - 1 + items.length) % items.length,
+        Home: 0,
+        End: items.length - 1
+      }[e.key];
+
+      if (next !== undefined) {
+        e.preventDefault();
+        items[next].focus();
+      } else if (e.key === 'Tab') {
+        this.closeHeaderMenu();
+      }
+    }
+
+    handleMenuAction(action) {
+      this.closeHeaderMenu();
+      if (action === 'print') {
+        this.printTranscript();
+      } else if (action === 'email') {
+        this.elements.emailForm.hidden = false;
+        this.elements.emailInput.focus();
+      } else {
+        this.downloadTranscript(action);
+        this.elements.menuBtn.focus();
+      }
+    }
+
+    // Messages worth exporting: what the user saw, without tool traffic
+    getTranscriptEntries() {
+      return this.history
+        .filter(entry => entry.role === 'call' ||
+          ((entry.role === 'user' || entry.role === 'assistant') && (entry.content || entry.attachments)))
+        .map(entry => ({
+          role: entry.role,
+          speaker: entry.role === 'call' ? this.getCallSummaryTitle(entry.call) : this.getSpeakerName(entry),
+          agent: entry.agent,
+          content: entry.role === 'call' ? this.getCallSummaryDetail(entry.call) : (entry.content || ''),
+          timestamp: entry.timestamp ? new Date(entry.timestamp).toISOString() : null,
+          attachments: (entry.attachments || []).map(({ name, url }) => ({ name, url })),
+          call: entry.call
+        }));
+    }
+
+    getSpeakerName(entry) {
+      return entry.role === 'user' ? this.t('you') : (entry.agent || this.t('assistant'));
+    }
+
+    // The conversation as 'txt', 'md' or 'json'
+    exportTranscript(format = 'txt') {
+      const entries = this.getTranscriptEntries();
+      const time = (entry) => (entry.timestamp ? new Date(entry.timestamp).toLocaleString(this.config.lang) : '');
+      const files = (entry, link) => entry.attachments.map(file => (link && file.url ? `[${file.name}](${file.url})` : file.name));
+
+      if (format === 'json') {
+        return JSON.stringify({
+          sessionId: this.sessionId,
+          exportedAt: new Date().toISOString(),
+          messages: entries.map(({ speaker, ...entry }) => entry)
+        }, null, 2);
+      }
+
+      if (format === 'md') {
+        const lines = [`# ${this.t('transcriptTitle')}`, ''];
+        entries.forEach(entry => {
+          lines.push(`**${entry.speaker}**${entry.timestamp ? ` · ${time(entry)}` : ''}`, '');
+          if (entry.content) lines.push(entry.content, '');
+          files(entry, true).forEach(file => lines.push(`- 📎 ${file}`));
+          if (entry.attachments.length) lines.push('');
+        });
+        return lines.join('\n');
+      }
+
+      return entries.map(entry => {
+        const head = `[${time(entry)}] ${entry.speaker}:`;
+        const attached = files(entry, false).map(name => `  (${name})`);
+        return [`${head} ${entry.content}`.trimEnd(), ...attached].join('\n');
+      }).join('\n\n');
+    }
+
+    downloadTranscript(format = 'txt') {
+      const types = { txt: 'text/plain', md: 'text/markdown', json: 'application/json' };
+      if (!types[format]) {
+        error(`Unknown transcript format "${format}"`);
+        return;
+      }
+
+      const blob = new Blob([this.exportTranscript(format)], { type: `${types[format]};charset=utf-8` });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `conversation-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      // Some browsers start the download only after click() returns
+      setTimeout(() => URL.revokeObjectURL(url), 30000);
+    }
+
+    // Print from a hidden iframe so the host page's layout and styles stay out of it
+    printTranscript() {
+      // A frame whose afterprint never came is replaced
+      if (this.printFrame) this.printFrame.remove();
+      const frame = this.printFrame = document.createElement('iframe');
+      frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0;';
+      document.body.appendChild(frame);
+
+      const doc = frame.contentDocument;
+      doc.title = this.t('transcriptTitle');
+      const style = doc.createElement('style');
+      style.textContent = 'body { font: 14px/1.5 sans-serif; margin: 24px; } ' +
+        '.entry { margin-bottom: 16px; } .meta { color: #4b5563; font-size: 12px; } ' +
+        '.text { white-space: pre-wrap; }';
+      doc.head.appendChild(style);
+
+      const heading = doc.createElement('h1');
+      heading.textContent = this.t('transcriptTitle');
+      doc.body.appendChild(heading);
+
+      this.getTranscriptEntries().forEach(entry => {
+        const item = doc.createElement('div');
+        item.className = 'entry';
+        const meta = doc.createElement('div');
+        meta.className = 'meta';
+        const speaker = doc.createElement('strong');
+        speaker.textContent = entry.speaker;
+        meta.appendChild(speaker);
+        if (entry.timestamp) {
+          meta.appendChild(doc.createTextNode(' · ' + new Date(entry.timestamp).toLocaleString(this.config.lang)));
+        }
+        const text = doc.createElement('div');
+        text.className = 'text';
+        text.textContent = [entry.content, ...entry.attachments.map(file => `📎 ${file.name}`)]
+          .filter(Boolean).join('\n');
+        item.appendChild(meta);
+        item.appendChild(text);
+        doc.body.appendChild(item);
+      });
+
+      const removeFrame = () => {
+        frame.remove();
+        if (this.printFrame === frame) this.printFrame = null;
+      };
+      // The print dialog may still be reading the frame after print() returns
+      frame.contentWindow.addEventListener('afterprint', removeFrame, { once: true });
+      try {
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+      } catch (e) {
+        error('Printing failed:', e);
+        removeFrame();
+      }
+    }
+
+    async emailTranscript(email) {
+      if (!this.config.transcriptEndpoint) {
+        error('emailTranscript needs a transcriptEndpoint');
+        return;
+      }
+
+      try {
+        const response = await this.fetchWithRetry(this.config.transcriptEndpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...(resolveOption(this.config.headers) || {}) },
+          body: JSON.stringify({
+            email,
+            sessionId: this.sessionId,
+            lang: this.config.lang,
+            transcript: JSON.parse(this.exportTranscript('json')).messages
+          })
+        });
+        if (!response.ok) throw new Error(`Transcript error: ${response.status}`);
+        this.addNotice(this.t('emailSent').replace('{email}', email));
+        log('Transcript emailed');
+      } catch (e) {
+        error('Failed to email transcript:', e);
+        this.addNotice(this.t('emailFailed'));
+        this.emit('error', { source: 'transcript', error: e, message: null });
+        throw e;
+      }
+    }
+
+    // Thumbs up/down (and an optional comment) for the reply at history[index]
+    addFeedbackControls(bubble, index) {
+      if (!this.config.feedback) return;
+      const entry = this.history[index];
+
+      const controls = document.createElement('div');
+      controls.className = 'feedback';
+      controls.setAttribute('part', 'feedback');
+
+      const buttons = [['up', '👍', 'helpful'], ['down', '👎', 'notHelpful']].map(([rating, icon, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'feedback-btn';
+        button.dataset.rating = rating;
+        button.title = this.t(label);
+        button.setAttribute('aria-label', this.t(label));
+        button.setAttribute('aria-pressed', String(Boolean(entry.feedback && entry.feedback.rating === rating)));
+        button.innerHTML = `<span aria-hidden="true">${icon}</span>`;
+        button.addEventListener('click', () => {
+          buttons.forEach(other => other.setAttribute('aria-pressed', String(other === button)));
+          this.rateMessage(index, rating, controls);
+        });
+        controls.appendChild(button);
+        return button;
+      });
 
-      // Add to DOM
-      document.body.appendChild(container);
+      bubble.after(controls);
+    }
 
-      // Get references
-      this.elements = {
-        container: this.shadowRoot.getElementById('widgetContainer'),
-        fab: this.shadowRoot.getElementById('fabBtn'),
-        closeBtn: this.shadowRoot.getElementById('closeBtn'),
-        // Tabs
-        tabs: this.shadowRoot.querySelectorAll('.nav-tab'),
-        views: this.shadowRoot.querySelectorAll('.view'),
-        // Chat Elements
-        chatContainer: this.shadowRoot.getElementById('chatContainer'),
-        messageInput: this.shadowRoot.getElementById('messageInput'),
-        sendBtn: this.shadowRoot.getElementById('sendBtn'),
-        // Call Elements
-        voiceBtn: this.shadowRoot.getElementById('voiceBtn'), // Main Mic Button
-        endCallBtn: this.shadowRoot.getElementById('endCallBtn'),
-        statusText: this.shadowRoot.getElementById('statusText'),
-        visualizers: this.shadowRoot.querySelectorAll('.visualizer-circle')
+    rateMessage(index, rating, controls) {
+      const entry = this.history[index];
+      if (!entry) return;
+      entry.feedback = { rating };
+      this.persistSession();
+      this.sendFeedback({ type: 'message', messageIndex: index, rating, message: entry.content });
+
+      // A comment arrives as a second submission for the same message
+      const previous = controls.querySelector('.feedback-form');
+      if (previous) previous.remove();
+      controls.appendChild(this.createFeedbackForm(this.t('feedbackComment'), (comment) => {
+        if (comment) {
+          entry.feedback.comment = comment;
+          this.persistSession();
+          this.sendFeedback({ type: 'message', messageIndex: index, rating, comment, message: entry.content });
+        }
+      }));
+    }
+
+    // Optional comment box with Send/Skip; calls onDone with the comment (or null)
+    createFeedbackForm(placeholder, onDone) {
+      const form = document.createElement('form');
+      form.className = 'feedback-form';
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = placeholder;
+      input.setAttribute('aria-label', placeholder);
+      const send = document.createElement('button');
+      send.type = 'submit';
+      send.textContent = this.t('feedbackSend');
+      const skip = document.createElement('button');
+      skip.type = 'button';
+      skip.className = 'feedback-skip';
+      skip.textContent = this.t('feedbackSkip');
+
+      const finish = (comment) => {
+        const thanks = document.createElement('span');
+        thanks.className = 'feedback-thanks';
+        thanks.setAttribute('role', 'status');
+        thanks.textContent = this.t('feedbackThanks');
+        form.replaceWith(thanks);
+        onDone(comment);
       };
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        finish(input.value.trim() || null);
+      });
+      skip.addEventListener('click', () => finish(null));
 
-      this.activeTab = 'chat';
+      form.appendChild(input);
+      form.appendChild(send);
+      form.appendChild(skip);
+      return form;
     }
 
-    switchTab(tabId) {
-      if (this.activeTab === tabId) return;
-      this.activeTab = tabId;
+    // Emit the submission and POST it to feedbackEndpoint when one is configured
+    async sendFeedback(payload) {
+      const submission = { ...payload, sessionId: this.sessionId, timestamp: new Date().toISOString() };
+      this.emit('feedback', submission);
+      if (!this.config.feedbackEndpoint) return;
 
-      // Update UI
-      this.elements.tabs.forEach(tab => {
-        if (tab.dataset.tab === tabId) tab.classList.add('active');
-        else tab.classList.remove('active');
+      try {
+        const response = await this.fetchWithRetry(this.config.feedbackEndpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...(resolveOption(this.config.headers) || {}) },
+          body: JSON.stringify(submission)
+        });
+        if (!response.ok) throw new Error(`Feedback error: ${response.status}`);
+      } catch (e) {
+        error('Failed to send feedback:', e);
+        this.emit('error', { source: 'feedback', error: e, message: null });
+      }
+    }
+
+    // The close button and Escape come here; a survey may run before the panel closes
+    requestClose() {
+      if (this.shouldShowSurvey()) {
+        this.showSurvey('close');
+      } else {
+        this.closeWidget();
+      }
+    }
+
+    // Once per conversation, and only after the assistant has replied to the user; a
+    // trigger greeting on its own doesn't count
+    shouldShowSurvey() {
+      const firstTurn = this.history.findIndex(entry => entry.role === 'user');
+      return Boolean(this.config.survey) && !this.survey && this.isOpen &&
+        this.surveyedSession !== this.sessionId && firstTurn !== -1 &&
+        this.history.slice(firstTurn + 1).some(entry => entry.role === 'assistant' && entry.content);
+    }
+
+    showSurvey(trigger) {
+      this.surveyedSession = this.sessionId;
+      const survey = document.createElement('form');
+      survey.className = 'survey';
+      survey.setAttribute('part', 'survey');
+      survey.setAttribute('role', 'group');
+
+      const title = document.createElement('div');
+      title.className = 'survey-title';
+      title.id = 'surveyTitle';
+      title.textContent = this.t('surveyTitle');
+      survey.setAttribute('aria-labelledby', 'surveyTitle');
+
+      let rating = null;
+      const stars = document.createElement('div');
+      stars.className = 'survey-stars';
+      const submit = document.createElement('button');
+      const starButtons = [1, 2, 3, 4, 5].map(value => {
+        const star = document.createElement('button');
+        star.type = 'button';
+        star.className = 'survey-star';
+        star.textContent = '★';
+        star.setAttribute('aria-label', this.t('surveyRating').replace('{rating}', value));
+        star.setAttribute('aria-pressed', 'false');
+        star.addEventListener('click', () => {
+          rating = value;
+          starButtons.forEach((other, index) => {
+            other.classList.toggle('selected', index < value);
+            other.setAttribute('aria-pressed', String(index === value - 1));
+          });
+          submit.disabled = false;
+        });
+        stars.appendChild(star);
+        return star;
       });
 
-      this.elements.views.forEach(view => {
-        if (view.id === `${tabId}View`) view.classList.add('active');
-        else view.classList.remove('active');
+      const comment = document.createElement('textarea');
+      comment.rows = 2;
+      comment.placeholder = this.t('surveyComment');
+      comment.setAttribute('aria-label', this.t('surveyComment'));
+
+      const actions = document.createElement('div');
+      actions.className = 'survey-actions';
+      submit.type = 'submit';
+      submit.className = 'survey-submit';
+      submit.disabled = true;
+      submit.textContent = this.t('feedbackSend');
+      const skip = document.createElement('button');
+      skip.type = 'button';
+      skip.className = 'feedback-skip';
+      skip.textContent = this.t('feedbackSkip');
+      skip.addEventListener('click', () => this.finishSurvey(null));
+      survey.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (rating) this.finishSurvey({ rating, comment: comment.value.trim() || null });
       });
+      actions.appendChild(skip);
+      actions.appendChild(submit);
+
+      survey.appendChild(title);
+      survey.appendChild(stars);
+      survey.appendChild(comment);
+      survey.appendChild(actions);
+
+      // Everything behind the survey is out of reach until it is answered or skipped
+      this.survey = { element: survey, trigger };
+      this.setSurveyBackdrop(true);
+      this.elements.container.appendChild(survey);
+      starButtons[0].focus();
     }
 
-    togglePersistentCallMode() {
-      // Feature deprecated or needs redesign for new UI
-      // For now, simple console log as it wasn't core to visual overhaul
-      log('Persistent mode toggled (internal flag only)');
-      this.persistentCallMode = !this.persistentCallMode;
+    finishSurvey(answer) {
+      const survey = this.survey;
+      if (!survey) return;
+      this.survey = null;
+      survey.element.remove();
+      this.setSurveyBackdrop(false);
+
+      if (answer) this.sendFeedback({ type: 'conversation', trigger: survey.trigger, ...answer });
+      if (survey.trigger === 'close') this.closeWidget();
     }
 
-    setupSpeechRecognition() {
-      if ('webkitSpeechRecognition' in window) {
-        this.recognition = new webkitSpeechRecognition();
-        // Use continuous mode to avoid repeated permission prompts
-        this.recognition.continuous = true;
-        this.recognition.interimResults = false;
-        this.recognition.lang = 'en-US';
-
-        this.recognition.onresult = (event) => {
-          // Ignore results if TTS is playing or we're suspended
-          if (this.ignoreRecognitionForTTS || this.suspendedForTTS) {
-            log('Ignoring recognition result due to TTS playback');
-            return;
-          }
+    setSurveyBackdrop(active) {
+      this.shadowRoot.querySelectorAll('.header-actions, .nav-tabs, .tab-content').forEach(el => {
+        el.toggleAttribute('inert', active);
+      });
+    }
+
+    addNotice(text) {
+      const notice = document.createElement('div');
+      notice.className = 'notice';
+      notice.setAttribute('part', 'notice');
+      notice.textContent = text;
+      this.appendToTranscript(notice);
+    }
 
-          const transcript = event.results[event.results.length - 1][0].transcript;
-          log('Recognition result:', transcript);
+    // Move the conversation to a live agent over WebSocket. The server protocol is JSON:
+    // we send start/message/typing/end, and it sends queue/status/agent/typing/message/end.
+    startHandoff(options = {}) {
+      if (this.handoff || this.destroyed) return;
+      const url = this.getHandoffUrl(options.url);
+      if (!url) return;
 
-          // If in call mode, we don't necessarily need to populate the chat input
-          // But we should still process the message
-          this.sendMessage(transcript);
-        };
+      const handoff = { socket: null, status: 'connecting', position: null, agentName: null, opened: false, queue: [] };
+      this.handoff = handoff;
+      this.elements.attachBtn.hidden = true;
+      this.releaseAttachments(this.pendingAttachments);
+      this.pendingAttachments = [];
+      this.renderAttachmentTray();
+      this.renderHandoffBanner();
+      log('Handing off to a live agent');
+      this.emit('handoff', { state: 'start', reason: options.reason || null });
+      this.connectHandoff(handoff, url, options);
+    }
 
-        // Handle recognition ending - restart only if intentionally stopped
-        this.recognition.onend = () => {
-          this.isRecording = false;
-          // Update visual state if in call
-          if (this.elements.voiceBtn) this.elements.voiceBtn.classList.remove('active');
-          this.elements.visualizers.forEach(v => v.classList.remove('animate'));
+    // handoffUrl, or a backend-supplied url on the same origin; the socket carries the
+    // session token, so it must never go to a host the page didn't configure
+    getHandoffUrl(requested) {
+      const configured = this.config.handoffUrl;
+      if (!configured) {
+        error('Handoff requested but no handoffUrl is configured');
+        return null;
+      }
+      if (!requested) return configured;
+      try {
+        const base = new URL(configured, window.location.href);
+        const url = new URL(requested, base);
+        if (url.origin === base.origin) return url.href;
+      } catch (e) {
+        // Invalid URL, rejected below
+      }
+      error(`Ignoring handoff url "${requested}": it must be on the handoffUrl origin`);
+      return configured;
+    }
 
-          // Skip auto-restart if we intentionally paused for TTS
-          if (this.suspendedForTTS) return;
+    async connectHandoff(handoff, url, options) {
+      let headers = {};
+      try {
+        headers = await this.getAuthHeaders();
+      } catch (e) {
+        error('Failed to get a token for the live agent connection:', e);
+      }
+      if (this.handoff !== handoff) return;
 
-          // Only restart if we're still in a call and recognition ended unexpectedly
-          if (this.isInCall && this.shouldKeepListening) {
-            this.restartRecognition();
-          } else if (this.isInCall) {
-            // If in call but stopped listening (maybe error?), show status
-            this.elements.statusText.textContent = "Tap to speak";
-          }
-        };
+      let socket;
+      try {
+        if (this.config.createWebSocket) {
+          socket = this.config.createWebSocket(url, { headers });
+        } else {
+          const socketUrl = new URL(url, window.location.href);
+          const token = (headers.Authorization || '').replace(/^Bearer /, '');
+          if (token) socketUrl.searchParams.set('token', token);
+          socket = new WebSocket(socketUrl.href);
+        }
+      } catch (e) {
+        error('Failed to open live agent connection:', e);
+        this.endHandoff('failed');
+        return;
+      }
+      handoff.socket = socket;
+
+      socket.onopen = () => {
+        if (this.handoff !== handoff) return;
+        handoff.opened = true;
+        this.sendToAgent({
+          type: 'start',
+          sessionId: this.sessionId,
+          reason: options.reason || null,
+          lang: this.config.lang,
+          metadata: resolveOption(this.config.metadata) || undefined,
+          context: this.collectPageContext() || undefined,
+          // The agent gets the conversation so far, without tool traffic
+          history: this.history
+            .filter(entry => (entry.role === 'user' || entry.role === 'assistant') && entry.content)
+            .map(({ role, content, agent }) => ({ role, content, agent }))
+        });
+        handoff.queue.splice(0).forEach(payload => this.sendToAgent(payload));
+      };
+      socket.onmessage = (e) => this.handleAgentEvent(handoff, e.data);
+      socket.onerror = () => error('Live agent connection error');
+      socket.onclose = () => {
+        if (this.handoff === handoff) this.endHandoff(handoff.agentName ? 'ended' : 'failed');
+      };
+    }
 
-        this.recognition.onerror = (event) => {
-          error('Speech recognition error:', event.error);
-          this.isRecording = false;
-          if (this.elements.voiceBtn) this.elements.voiceBtn.classList.remove('active');
-          this.elements.visualizers.forEach(v => v.classList.remove('animate'));
+    handleAgentEvent(handoff, raw) {
+      if (this.handoff !== handoff) return;
+      let event;
+      try {
+        event = JSON.parse(raw);
+      } catch (e) {
+        error('Invalid live agent event:', e);
+        return;
+      }
 
-          // Don't restart on permission errors to avoid loops
-          if (event.error === 'not-allowed') {
-            error('Microphone permission denied');
-            this.shouldKeepListening = false;
-            this.elements.statusText.textContent = "Microphone denied";
+      switch (event.type) {
+        case 'queue':
+          handoff.status = 'queued';
+          handoff.position = event.position;
+          this.renderHandoffBanner();
+          break;
+        case 'status':
+          handoff.status = event.status || handoff.status;
+          this.renderHandoffBanner();
+          break;
+        case 'agent': {
+          handoff.status = 'connected';
+          handoff.agentName = event.name || this.t('handoffAgent');
+          this.renderHandoffBanner();
+          this.addNotice(this.t('handoffConnected').replace('{name}', handoff.agentName));
+          this.emit('handoff', { state: 'connected', agent: handoff.agentName });
+          break;
+        }
+        case 'typing':
+          this.hideLoading();
+          if (event.typing !== false) {
+            this.showLoading(this.t('agentTyping').replace('{name}', handoff.agentName || this.t('handoffAgent')));
           }
-        };
-      } else {
-        log('Speech recognition not supported');
+          break;
+        case 'message':
+          this.hideLoading();
+          this.addAgentMessage(String(event.text ?? ''), event.name || handoff.agentName || this.t('handoffAgent'));
+          break;
+        case 'end':
+          this.endHandoff('ended');
+          break;
+        default:
+          log('Ignoring live agent event:', event.type);
       }
     }
 
-    // Controlled restart function to avoid permission issues
-    restartRecognition() {
-      if (!this.recognition || !this.shouldKeepListening) {
-        log('Cannot restart recognition - missing recognition or shouldKeepListening is false');
+    addAgentMessage(text, name) {
+      if (!text) return;
+      const bubble = this.addMessage(text, 'agent');
+      this.history.push({ role: 'assistant', content: text, agent: name, timestamp: Date.now() });
+      this.persistSession();
+      this.addFeedbackControls(bubble, this.history.length - 1);
+      this.markUnread();
+      this.emit('response', { text, sessionId: this.sessionId, agent: name });
+      if (this.isInCall) this.speak(text);
+      return bubble;
+    }
+
+    sendAgentMessage(message, selection = null) {
+      this.clearQuickReplies();
+      const bubble = this.addMessage(message, 'user');
+      if (selection) this.renderSelectionQuote(bubble, selection);
+      this.emit('message', { text: message, attachments: [], selection: selection || undefined, sessionId: this.sessionId });
+      const historyEntry = { role: 'user', content: message, timestamp: Date.now() };
+      if (selection) historyEntry.selection = selection;
+      this.history.push(historyEntry);
+      this.persistSession();
+      this.sendToAgent({ type: 'message', text: message, selection: selection || undefined });
+      return Promise.resolve();
+    }
+
+    // Send now, or once the socket has opened
+    sendToAgent(payload) {
+      const handoff = this.handoff;
+      if (!handoff) return;
+      if (!handoff.opened) {
+        handoff.queue.push(payload);
+        return;
+      }
+      try {
+        handoff.socket.send(JSON.stringify(payload));
+      } catch (e) {
+        error('Failed to send to live agent:', e);
+      }
+    }
+
+    // Back to the AI: 'user' (we leave), 'ended' (the agent left) or 'failed'
+    endHandoff(reason = 'user', { silent = false } = {}) {
+      const handoff = this.handoff;
+      if (!handoff) return;
+
+      if (reason === 'user' && handoff.opened) this.sendToAgent({ type: 'end' });
+      this.handoff = null;
+      // The socket is still missing while the token is fetched
+      if (handoff.socket) {
+        handoff.socket.onclose = null;
+        try {
+          handoff.socket.close();
+        } catch (e) {
+          // Already closed
+        }
+      }
+
+      this.elements.attachBtn.hidden = !this.config.attachments;
+      this.renderHandoffBanner();
+      if (!silent) {
+        this.hideLoading();
+        this.addNotice(this.t(reason === 'failed' ? 'handoffFailed' : 'handoffEnded'));
+      }
+      log('Live agent chat ended:', reason);
+      this.emit('handoff', { state: 'end', reason });
+      this.processOutbox();
+    }
+
+    renderHandoffBanner() {
+      if (!this.elements) return;
+      const handoff = this.handoff;
+      this.elements.handoffBtn.hidden = !this.config.handoffUrl || Boolean(handoff);
+      this.elements.handoffBanner.hidden = !handoff;
+      if (!handoff) return;
+
+      let text = this.t('handoffConnecting');
+      if (handoff.status === 'connected') {
+        text = this.t('handoffConnected').replace('{name}', handoff.agentName || this.t('handoffAgent'));
+      } else if (handoff.status === 'queued' && handoff.position) {
+        text = this.t('handoffQueue').replace('{position}', handoff.position);
+      }
+      this.elements.handoffStatus.textContent = text;
+    }
+
+    showLoading(label = this.t('typing')) {
+      const loadingDiv = document.createElement('div');
+      loadingDiv.className = 'loading';
+      loadingDiv.innerHTML = `
+        <span></span>
+        <div class="loading-dots">
+          <div class="loading-dot"></div>
+          <div class="loading-dot"></div>
+          <div class="loading-dot"></div>
+        </div>
+      `;
+      loadingDiv.id = 'loading';
+      loadingDiv.querySelector('span').textContent = label;
+
+      this.appendToTranscript(loadingDiv);
+    }
+
+    hideLoading() {
+      const loading = this.elements.chatContainer.querySelector('#loading');
+      if (loading) {
+        loading.remove();
+      }
+    }
+
+    // Show the message right away; it is delivered now or queued behind the current
+    // request (or until the browser is back online)
+    sendMessage(message, attachments = []) {
+      const selection = this.pendingSelection;
+      this.clearSelectionContext();
+      if (this.handoff) return this.sendAgentMessage(message, selection);
+      this.clearQuickReplies();
+      const entry = { text: message, attachments, selection, bubble: this.addMessage(message, 'user'), statusEl: null };
+      if (selection) this.renderSelectionQuote(entry.bubble, selection);
+      if (attachments.length) this.renderAttachments(entry.bubble, attachments);
+      this.emit('message', {
+        text: message,
+        attachments: attachments.map(attachmentReference),
+        selection: selection || undefined,
+        sessionId: this.sessionId
+      });
+
+      if (this.isLoading || !this.isOnline()) {
+        this.outbox.push(entry);
+        this.setDeliveryState(entry, this.isOnline() ? 'queued' : 'offline');
+        return Promise.resolve();
+      }
+      return this.deliverMessage(entry);
+    }
+
+    retryMessage(entry) {
+      this.setDeliveryState(entry, null);
+      if (this.isLoading || !this.isOnline()) {
+        this.outbox.push(entry);
+        this.setDeliveryState(entry, this.isOnline() ? 'queued' : 'offline');
         return;
       }
+      this.deliverMessage(entry);
+    }
+
+    processOutbox() {
+      if (this.isLoading || !this.isOnline() || this.destroyed) return;
+      // Messages queued behind the reply that started a handoff go to the agent
+      if (this.handoff) {
+        this.outbox.splice(0).forEach(entry => {
+          this.setDeliveryState(entry, null);
+          this.sendToAgent({ type: 'message', text: entry.text });
+          this.history.push({ role: 'user', content: entry.text, timestamp: Date.now() });
+        });
+        this.persistSession();
+        return;
+      }
+      const next = this.outbox.shift();
+      if (next) this.deliverMessage(next);
+    }
+
+    // Abort the request in flight, keeping whatever part of the reply already arrived
+    stopGenerating() {
+      if (!this.activeRequest) return;
+      log('Stopping generation');
+      this.activeRequest.stopped = true;
+      this.activeRequest.controller.abort();
+      this.stopSpeaking();
+    }
+
+    isAbortError(err) {
+      return Boolean(err) && err.name === 'AbortError';
+    }
+
+    async deliverMessage(entry) {
+      const message = entry.text;
+      const request = { controller: new AbortController(), stopped: false };
+      const historyEntry = { role: 'user', content: message, timestamp: Date.now() };
+      // newConversation() swaps in a fresh history; results for the old one are dropped
+      const history = this.history;
+      if (entry.selection) historyEntry.selection = entry.selection;
+      let delivered = false;
+
+      this.isLoading = true;
+      this.activeRequest = request;
+      this.elements.stopBtn.hidden = false;
+      this.setDeliveryState(entry, null);
+
+      this.history.push(historyEntry);
+      this.persistSession();
+
+      // Show loading
+      this.showLoading();
 
       try {
-        // Use a short delay to avoid Chrome's throttling
-        setTimeout(() => {
-          if (this.isInCall && this.shouldKeepListening && !this.suspendedForTTS) {
-            log('Restarting speech recognition...');
-            this.recognition.start();
-            this.isRecording = true;
-            if (this.elements.voiceBtn) this.elements.voiceBtn.classList.add('active');
-            this.elements.visualizers.forEach(v => v.classList.add('animate'));
-            this.elements.statusText.textContent = "Listening...";
-            log('Speech recognition restarted successfully');
+        const attachments = entry.attachments || [];
+        await this.uploadAttachments(attachments, request);
+        if (attachments.length) historyEntry.attachments = attachments.map(attachmentReference);
+
+        let reply = await this.requestReply(message, null, request, attachments);
+        delivered = true;
+        // The bubble has rendered its previews by now and a retry won't happen
+        this.releaseAttachments(attachments);
+
+        // Run requested tools and send their results back until the assistant is done
+        for (let round = 0; reply.toolCalls.length && !request.stopped; round++) {
+          if (round >= this.config.maxToolRounds) {
+            error('Too many consecutive tool calls, stopping');
+            break;
           }
-        }, 100);
-      } catch (e) {
-        error('Failed to restart recognition:', e);
-        this.shouldKeepListening = false;
+          const results = await this.runToolCalls(reply.toolCalls, request.controller.signal);
+          if (history !== this.history || this.destroyed) break;
+          results.forEach(({ id, name, result }) => {
+            this.history.push({ role: 'tool', toolCallId: id, name, content: JSON.stringify(result), timestamp: Date.now() });
+          });
+          this.persistSession();
+          if (request.stopped || request.controller.signal.aborted) break;
+
+          this.showLoading();
+          reply = await this.requestReply(null, results, request);
+        }
+
+      } catch (err) {
+        this.hideLoading();
+        if (request.stopped && this.isAbortError(err)) {
+          log('Request stopped before a reply arrived');
+        } else if (delivered) {
+          // The message itself went through; a follow-up (tool results) failed
+          error('Error sending tool results:', err);
+          this.addMessage(this.t('errorReply'), 'assistant');
+          this.emit('error', { source: 'request', error: err, message });
+        } else {
+          error('Error sending message:', err);
+          // Take the message back out of the history so a retry doesn't send it twice
+          const index = this.history.indexOf(historyEntry);
+          if (index !== -1) this.history.splice(index, 1);
+          this.persistSession();
+
+          if (!this.isOnline()) {
+            this.outbox.unshift(entry);
+            this.setDeliveryState(entry, 'offline');
+          } else {
+            this.setDeliveryState(entry, 'failed');
+          }
+          this.emit('error', { source: 'request', error: err, message });
+        }
+      } finally {
+        this.isLoading = false;
+        this.activeRequest = null;
+        this.elements.stopBtn.hidden = true;
       }
+
+      this.processOutbox();
     }
 
-    setupSpeechSynthesis() {
-      if ('speechSynthesis' in window) {
-        this.synthesis = window.speechSynthesis;
+    // Upload attachments to uploadEndpoint before the message is sent. Uploaded files keep their reference, so a retry doesn't upload them again.
+    async uploadAttachments(attachments, request) {
+      for (const attachment of attachments) {
+        if (attachment.ref || !this.config.uploadEndpoint) continue;
+
+        const form = new FormData();
+        form.append('file', attachment.file, attachment.file.name);
+        form.append('sessionId', this.sessionId);
+        const response = await this.fetchWithRetry(this.config.uploadEndpoint, {
+          body: form,
+          headers: resolveOption(this.config.headers) || {}
+        }, request.controller.signal, (url, options) => this.uploadWithProgress(url, options,
+          fraction => this.setUploadProgress([attachment], fraction)));
+        if (!response.ok) throw new Error(`Upload error: ${response.status}`);
+
+        const data = await response.json().catch(() => ({}));
+        attachment.ref = { id: data.id, url: data.url };
+        this.setUploadProgress([attachment], 1);
+      }
+
+    }
+
+    // XMLHttpRequest because fetch() can't report upload progress. POSTs like
+    // authorizedFetch: resolves with a Response and refreshes the token once on a 401.
+    async uploadWithProgress(url, { body, headers: extraHeaders = {}, signal = null }, onProgress) {
+      const send = async (forceRefresh) => {
+        const headers = { ...extraHeaders, ...(await this.getAuthHeaders(forceRefresh)) };
+
+        return new Promise((resolve, reject) => {
+          const xhr = new XMLHttpRequest();
+          const onAbort = () => xhr.abort();
+          xhr.open('POST', url);
+          xhr.responseType = 'blob';
+          Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+          xhr.upload.onprogress = (e) => {
+            if (e.lengthComputable) onProgress(e.loaded / e.total);
+          };
+          xhr.onload = () => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            const responseHeaders = new Headers();
+            xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+              const index = line.indexOf(':');
+              if (index > 0) responseHeaders.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+            });
+            resolve(new Response(xhr.response, { status: xhr.status, headers: responseHeaders }));
+          };
+          xhr.onerror = () => reject(new Error('Upload failed'));
+          xhr.onabort = () => reject(new DOMException('Upload aborted', 'AbortError'));
+
+          if (signal) {
+            if (signal.aborted) return reject(new DOMException('Upload aborted', 'AbortError'));
+            signal.addEventListener('abort', onAbort, { once: true });
+          }
+          xhr.send(body);
+        });
+      };
+
+      const response = await send(false);
+      if (response.status !== 401 || !this.usesTokenAuth()) return response;
+
+      log('Upload unauthorized, refreshing session token');
+      this.authToken = null;
+      return send(true);
+    }
+
+    // One round trip to the chat endpoint; renders, speaks and records the reply
+    async requestReply(message, toolResults, request, attachments = []) {
+      const history = this.history;
+      const headers = {
+        'Content-Type': 'application/json',
+        'Accept': this.config.stream
+          ? 'text/event-stream, application/x-ndjson, application/json'
+          : 'application/json',
+        ...(resolveOption(this.config.headers) || {})
+      };
+
+      const body = this.buildRequestBody(message, toolResults, attachments.map(attachmentReference));
+      // Without an upload endpoint the files travel with the message itself
+      const files = this.config.uploadEndpoint ? [] : attachments;
+
+      let response;
+      if (files.length) {
+        // Multipart goes through XHR for upload progress, so the reply arrives in one piece
+        const form = new FormData();
+        form.append('payload', JSON.stringify(body));
+        files.forEach(({ file }) => form.append('files', file, file.name));
+        // The browser sets the multipart Content-Type with its boundary
+        delete headers['Content-Type'];
+        response = await this.fetchWithRetry(this.config.apiEndpoint, {
+          headers,
+          body: form
+        }, request.controller.signal, (url, options) => this.uploadWithProgress(url, options,
+          fraction => this.setUploadProgress(files, fraction)));
+        this.setUploadProgress(files, 1);
       } else {
-        log('Speech synthesis not supported');
+        response = await this.fetchWithRetry(this.config.apiEndpoint, {
+          method: 'POST',
+          headers: headers,
+          body: JSON.stringify(body)
+        }, request.controller.signal);
+      }
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const detail = errorData.error && (errorData.error.message || errorData.error);
+        throw new Error(typeof detail === 'string' ? detail : `API error: ${response.status}`);
+      }
+
+      const reply = this.isStreamingResponse(response)
+        ? await this.readStreamingReply(response, request)
+        : await this.readJsonReply(response);
+
+      if (!request.stopped) this.renderRichContent(reply);
+      if (reply.handoff && !request.stopped) this.startHandoff(reply.handoff);
+
+      const hasCards = reply.buttons.length > 0 || reply.cards.length > 0;
+      // A reply cut short by newConversation() belongs to the old history
+      if (history !== this.history) return reply;
+      if (reply.text || reply.toolCalls.length || hasCards) {
+        const historyEntry = { role: 'assistant', content: reply.text, timestamp: Date.now() };
+        if (reply.toolCalls.length) historyEntry.toolCalls = reply.toolCalls;
+        // Kept so a restored conversation shows them again (suggestions are not)
+        if (hasCards) Object.assign(historyEntry, { buttons: reply.buttons, cards: reply.cards });
+        this.history.push(historyEntry);
+        this.persistSession();
+        if (reply.bubble && reply.text) this.addFeedbackControls(reply.bubble, this.history.length - 1);
+      }
+      if (reply.text) {
+        this.markUnread();
+        this.emit('response', { text: reply.text, sessionId: this.sessionId, stopped: request.stopped });
+      }
+      return reply;
+    }
+
+    isStreamingResponse(response) {
+      const contentType = response.headers.get('Content-Type') || '';
+      return Boolean(response.body) &&
+        /text\/event-stream|ndjson|jsonl/i.test(contentType);
+    }
+
+    async readJsonReply(response) {
+      const reply = this.parseReply(await response.json());
+      // The backend may switch the conversation language before we speak
+      if (reply.lang) this.setLanguage(reply.lang);
+
+      this.hideLoading();
+      reply.bubble = reply.text ? this.addMessage(reply.text, 'assistant') : null;
+
+      // Speak response
+      this.speak(this.toSpeechText(reply.text), { audio: reply.audio });
+      return reply;
+    }
+
+    // Grow a single assistant bubble as tokens arrive and speak each
+    // sentence as soon as it is complete
+    async readStreamingReply(response, request) {
+      let bubble = null;
+      let text = '';
+      let unspoken = '';
+      let spokeFirst = false;
+      let replyAudio = null;
+      let speechGeneration = null;
+      const pendingToolCalls = [];
+      const rich = {};
+      let handoff = null;
+      // Whether the spoken text has reached an open ``` fence (code is not read aloud)
+      let inCodeFence = false;
+      // Server TTS without an endpoint can only play audio the stream itself carries
+      const speakIncrementally = !this.usesServerTTS() || Boolean(this.config.ttsEndpoint);
+
+      const speakSentences = (final) => {
+        if (!speakIncrementally) return;
+        let end = 0;
+        if (final) {
+          end = unspoken.length;
+        } else {
+          SENTENCE_END.lastIndex = 0;
+          let match;
+          while ((match = SENTENCE_END.exec(unspoken)) !== null) {
+            end = match.index + match[0].length;
+          }
+        }
+        if (!end) return;
+
+        let sentence = unspoken.slice(0, end);
+        unspoken = unspoken.slice(end);
+        if (this.config.markdown) {
+          // Keep only the parts outside code fences, then drop the remaining syntax
+          sentence = sentence.split('```').filter((part, index) => {
+            if (index > 0) inCodeFence = !inCodeFence;
+            return !inCodeFence;
+          }).join(' ');
+          sentence = stripMarkdown(sentence);
+        }
+        if (!sentence.trim()) return;
+
+        // Stop voicing this reply once its speech was interrupted (e.g. barge-in)
+        if (speechGeneration !== null && speechGeneration !== this.speechGeneration) return;
+
+        // The first sentence cancels anything still playing, the rest queue behind it
+        this.speak(sentence, { queue: spokeFirst });
+        spokeFirst = true;
+        speechGeneration = this.speechGeneration;
+      };
+
+      // Re-rendering the markdown costs the whole reply so far, so it happens at most once a frame
+      let renderFrame = null;
+      const render = () => {
+        renderFrame = null;
+        this.renderMessageContent(bubble, text, 'assistant');
+        this.elements.chatContainer.scrollTop = this.elements.chatContainer.scrollHeight;
+      };
+
+      try {
+        await this.consumeStream(response, (token) => {
+          if (!bubble) {
+            this.hideLoading();
+            bubble = this.addMessage('', 'assistant');
+            // Screen readers announce the reply once it is complete, not token by token
+            bubble.setAttribute('aria-busy', 'true');
+          }
+          text += token;
+          unspoken += token;
+          if (renderFrame === null) renderFrame = requestAnimationFrame(render);
+          speakSentences(false);
+        }, (data) => {
+          if (data.lang) this.setLanguage(data.lang);
+          replyAudio = this.getReplyAudio(data) || replyAudio;
+          const adapter = this.getSchemaAdapter();
+          if (adapter.parseChunkToolCalls) adapter.parseChunkToolCalls(data, pendingToolCalls);
+          ['suggestions', 'buttons', 'cards'].forEach(key => {
+            if (Array.isArray(data[key])) rich[key] = data[key];
+          });
+          if (data.handoff) handoff = data.handoff;
+        });
+      } catch (err) {
+        // Stopped by the user: keep the partial reply, without speaking the rest
+        if (!(request && request.stopped && this.isAbortError(err))) {
+          // Failed (or stalled) mid-reply: the message counts as undelivered, so the partial
+          // reply goes away and a retry starts over
+          if (bubble) bubble.remove();
+          bubble = null;
+          if (speechGeneration === this.speechGeneration) this.stopSpeaking();
+          throw err;
+        }
+        this.hideLoading();
+        return { text, bubble, toolCalls: [], handoff: null, ...this.normalizeRichContent({}) };
+      } finally {
+        if (renderFrame !== null) {
+          cancelAnimationFrame(renderFrame);
+          if (bubble) render();
+        }
+        if (bubble) bubble.removeAttribute('aria-busy');
+      }
+
+      this.hideLoading();
+      // A stream with only whitespace leaves neither a bubble nor a history entry
+      if (!text.trim()) {
+        if (bubble) bubble.remove();
+        bubble = null;
+        text = '';
       }
+      speakSentences(true);
+      if (!speakIncrementally) this.speak(this.toSpeechText(text), { audio: replyAudio });
+      return {
+        text,
+        bubble,
+        toolCalls: this.normalizeToolCalls(pendingToolCalls.filter(Boolean)),
+        handoff: this.normalizeHandoff(handoff),
+        ...this.normalizeRichContent(rich)
+      };
     }
 
-    bindEvents() {
-      // FAB button
-      this.elements.fab.addEventListener('click', () => {
-        this.openWidget();
-      });
+    // Read an SSE or NDJSON body and call onToken for every text fragment;
+    // onData additionally receives every JSON payload (e.g. for trailing metadata)
+    async consumeStream(response, onToken, onData) {
+      const isSSE = /text\/event-stream/i.test(response.headers.get('Content-Type') || '');
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      const { requestTimeout } = this.config;
+      let buffer = '';
+      let done = false;
 
-      // Close button
-      this.elements.closeBtn.addEventListener('click', () => {
-        this.closeWidget();
+      // fetchWithRetry's timeout ends with the headers; a stream that stalls after that
+      // fails once no chunk has arrived for requestTimeout
+      const read = () => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Stream stalled for ${requestTimeout}ms`)), requestTimeout);
+        reader.read().then(resolve, reject).finally(() => clearTimeout(timer));
       });
 
-      // Tab Switching
-      this.elements.tabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-          this.switchTab(tab.dataset.tab);
-        });
-      });
+      // The payload of an SSE event lives in its data: lines
+      const parseEvent = (rawEvent) => rawEvent.split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
 
-      // Call Button (Mic in Call View)
-      this.elements.voiceBtn.addEventListener('click', () => {
-        if (!this.isInCall) {
-          this.startCall();
-        } else {
-          // Toggle recording/listening logic if already in call layout
-          this.toggleRecording();
+      const handlePayload = (payload) => {
+        if (payload === '[DONE]') {
+          done = true;
+          return;
         }
-      });
+        const token = this.extractStreamToken(payload, onData);
+        if (token) onToken(token);
+      };
 
-      // End call button
-      this.elements.endCallBtn.addEventListener('click', () => {
-        this.endCall();
-      });
+      try {
+        while (!done) {
+          const { value, done: streamDone } = await read();
+          if (streamDone) break;
+          buffer += decoder.decode(value, { stream: true });
 
-      // Send Button
-      this.elements.sendBtn.addEventListener('click', () => {
-        const message = this.elements.messageInput.value.trim();
-        if (message) {
-          this.sendMessage(message);
-          this.elements.messageInput.value = '';
+          if (isSSE) {
+            // Events are separated by a blank line
+            let boundary;
+            while (!done && (boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+              const data = parseEvent(buffer.slice(0, boundary));
+              buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+              if (data) handlePayload(data);
+            }
+          } else {
+            let newline;
+            while (!done && (newline = buffer.indexOf('\n')) !== -1) {
+              const line = buffer.slice(0, newline).trim();
+              buffer = buffer.slice(newline + 1);
+              if (line) handlePayload(line);
+            }
+          }
         }
-      });
 
-      // Handle text input on Enter key
-      this.elements.messageInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-          const message = this.elements.messageInput.value.trim();
-          if (message) {
-            this.sendMessage(message);
-            this.elements.messageInput.value = '';
+        // Flush a trailing NDJSON line or SSE event the stream ended without terminating
+        buffer += decoder.decode();
+        if (!done && buffer.trim()) {
+          if (isSSE) {
+            const data = parseEvent(buffer);
+            if (data) handlePayload(data);
+          } else {
+            handlePayload(buffer.trim());
           }
         }
-      });
+      } finally {
+        reader.cancel().catch(() => {});
+      }
     }
 
-    openWidget() {
-      this.elements.container.classList.add('open');
-      this.elements.fab.classList.add('hidden');
-      this.elements.fab.style.display = 'none';
-      if (this.activeTab === 'chat') {
-        this.elements.messageInput.focus();
+    // Stream payloads may be raw text or JSON such as {"token": "..."}
+    extractStreamToken(payload, onData) {
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch (e) {
+        return payload;
       }
-    }
 
-    closeWidget() {
-      this.elements.container.classList.remove('open');
-      this.elements.fab.classList.remove('hidden');
-      this.elements.fab.style.display = 'flex';
-    }
+      if (typeof data === 'string') return data;
+      if (!data || typeof data !== 'object') return '';
+      if (data.error) throw new Error(data.error.message || data.error);
+      if (onData) onData(data);
 
-    startCall() {
-      // Force switch to call tab
-      this.switchTab('call');
+      const token = this.runSchemaStep('parseChunk', data);
+      return typeof token === 'string' ? token : '';
+    }
 
-      this.isInCall = true;
-      this.shouldKeepListening = true;
-      this.elements.statusText.textContent = "Connecting...";
-      this.toggleRecording();
+    toSpeechText(text) {
+      return this.config.markdown ? stripMarkdown(text || '') : text;
     }
 
-    endCall() {
-      this.shouldKeepListening = false;
-      this.isInCall = false;
-      this.isRecording = false;
+    usesServerTTS() {
+      return this.config.ttsProvider === 'server';
+    }
 
-      if (this.recognition) {
-        this.recognition.stop();
+    // Audio attached to a reply: a URL, a data URI or raw base64
+    getReplyAudio(data) {
+      if (!data || typeof data !== 'object') return null;
+      if (typeof data.audioUrl === 'string') return data.audioUrl;
+      if (typeof data.audio === 'string') return data.audio;
+      if (typeof data.audioBase64 === 'string') {
+        return `data:${data.audioType || 'audio/mpeg'};base64,${data.audioBase64}`;
       }
+      return null;
+    }
 
-      // Update UI
-      this.elements.voiceBtn.classList.remove('active');
-      this.elements.visualizers.forEach(v => v.classList.remove('animate'));
-      this.elements.statusText.textContent = "Call Ended";
-
-      // Maybe switch back to chat after a second?
-      setTimeout(() => {
-        if (this.elements.statusText.textContent === "Call Ended") {
-          this.elements.statusText.textContent = "Tap to start call";
-        }
-      }, 1500);
+    // Ask the TTS endpoint for audio and return something an <audio> element can play
+    async fetchSpeechAudio(text) {
+      const response = await this.fetchWithRetry(this.config.ttsEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          text,
+          sessionId: this.sessionId,
+          lang: this.getSpeechLang(),
+          voice: this.config.voice
+        })
+      });
+      if (!response.ok) throw new Error(`TTS error: ${response.status}`);
 
-      log('Call ended');
+      const contentType = response.headers.get('Content-Type') || '';
+      if (contentType.includes('json')) {
+        return this.getReplyAudio(await response.json());
+      }
+      return URL.createObjectURL(await response.blob());
     }
 
-    toggleRecording() {
-      if (!this.recognition) {
-        alert('Speech recognition not supported in this browser');
+    speak(text, options = {}) {
+      const hasText = Boolean(text && text.trim());
+      // Speaker off or on hold: the caption is all the user gets
+      if (this.call && (!this.speakerOn || this.call.held)) {
+        if (hasText) this.setCaption('assistant', text);
         return;
       }
+      if (!this.speakerOn) return;
+      const serverAudio = this.usesServerTTS() && (options.audio || (this.config.ttsEndpoint && hasText));
+      if (!serverAudio && (!this.synthesis || !hasText)) return;
 
-      if (this.isRecording) {
-        // Stop recording
-        this.shouldKeepListening = false; // Pause listening
-        this.recognition.stop();
-        // Note: onend will handle UI removal
+      // Queued utterances play after the current one instead of replacing it
+      if (!options.queue) this.stopSpeaking({ resume: false });
+      const generation = this.speechGeneration;
+      this.recentSpeech = options.queue ? `${this.recentSpeech} ${text || ''}` : (text || '');
+
+      if (this.canBargeIn()) {
+        // Keep recognition running but ignore it until the user actually cuts in
+        this.ignoreRecognitionForTTS = true;
+        this.setStatus('aiSpeaking');
+        this.startBargeInMonitor();
       } else {
-        // Start recording
-        this.shouldKeepListening = true;
-        try {
-          this.recognition.start();
-          this.isRecording = true;
-          this.elements.voiceBtn.classList.add('active');
-          this.elements.visualizers.forEach(v => v.classList.add('animate'));
-          this.elements.statusText.textContent = "Listening...";
-        } catch (e) {
-          error('Failed to start recognition:', e);
-          this.shouldKeepListening = false;
-          this.elements.statusText.textContent = "Error starting mic";
-        }
+        this.suspendRecognitionForSpeech();
+      }
+      this.pendingUtterances++;
+      const done = () => this.handleUtteranceDone(generation);
+
+      if (serverAudio) {
+        const source = options.audio ? Promise.resolve(options.audio) : this.fetchSpeechAudio(text);
+        this.audioQueue.push({ source, generation, done, text });
+        if (!this.audioPlaying) this.playAudioQueue();
+        return;
       }
+
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.lang = this.getSpeechLang();
+      if (this.voice) utterance.voice = this.voice;
+      utterance.rate = 0.9;
+      utterance.pitch = 1;
+      utterance.volume = 1;
+      utterance.onstart = () => this.setCaption('assistant', text);
+      utterance.onend = done;
+      utterance.onerror = done;
+
+      this.synthesis.speak(utterance);
     }
 
-    addMessage(content, role = 'user') {
-      const messageDiv = document.createElement('div');
-      messageDiv.className = `message ${role}`;
-      messageDiv.textContent = content;
+    // If we are recording, stop it so we don't hear ourselves
+    suspendRecognitionForSpeech() {
+      if (!this.isRecording) return;
 
-      this.elements.chatContainer.appendChild(messageDiv);
-      this.elements.chatContainer.scrollTop = this.elements.chatContainer.scrollHeight;
+      this.recognition.stop();
+      this.isRecording = false;
+      // Update UI to show "Speaking..." or something?
+      if (this.isInCall) {
+        this.setStatus('aiSpeaking');
+        this.elements.visualizers.forEach(v => v.classList.remove('animate')); // Stop pulse while AI speaks
+        this.setMicActive(false);
+      }
+      this.suspendedForTTS = true;
     }
 
-    addWelcomeMessage() {
-      this.addMessage(this.config.welcomeMessage, 'assistant');
+    handleUtteranceDone(generation) {
+      // A newer speak() call cancelled this one and owns the resume
+      if (generation !== this.speechGeneration) return;
+      this.pendingUtterances--;
+      if (this.pendingUtterances > 0) return;
+      this.resumeAfterSpeech();
     }
 
-    showLoading() {
-      const loadingDiv = document.createElement('div');
-      loadingDiv.className = 'loading';
-      loadingDiv.innerHTML = `
-        <span>AI is typing</span>
-        <div class="loading-dots">
-          <div class="loading-dot"></div>
-          <div class="loading-dot"></div>
-          <div class="loading-dot"></div>
-        </div>
-      `;
-      loadingDiv.id = 'loading';
+    resumeAfterSpeech() {
+      // Recognition kept running through TTS (barge-in); drop what it heard of us
+      if (this.isRecording && this.ignoreRecognitionForTTS) this.discardPendingTurn();
 
-      this.elements.chatContainer.appendChild(loadingDiv);
-      this.elements.chatContainer.scrollTop = this.elements.chatContainer.scrollHeight;
-    }
+      this.suspendedForTTS = false;
+      this.ignoreRecognitionForTTS = false;
+      this.recentSpeechAt = Date.now();
+      this.stopBargeInMonitor();
 
-    hideLoading() {
-      const loading = this.elements.chatContainer.querySelector('#loading');
-      if (loading) {
-        loading.remove();
+      // Restart recognition if we're in a call
+      if (this.isInCall && this.isRecording) {
+        // Recognition kept running through TTS (barge-in)
+        this.setStatus('listening');
+      } else if (this.isInCall && this.shouldKeepListening) {
+        this.restartRecognition();
+      } else if (this.isInCall) {
+        this.setStatus(this.getIdleCallStatus());
       }
     }
 
-    async sendMessage(message) {
-      if (this.isLoading) return;
+    // Cancel current and queued speech; recognition resumes unless told otherwise
+    stopSpeaking({ resume = true } = {}) {
+      const wasSpeaking = this.pendingUtterances > 0;
+      this.speechGeneration++;
+      this.pendingUtterances = 0;
 
-      this.isLoading = true;
-      // Disable inputs if desired, but in chat we let them type
+      if (this.synthesis) this.synthesis.cancel();
+      this.audioQueue = [];
+      if (this.stopCurrentAudio) this.stopCurrentAudio();
 
-      // Add user message
-      this.addMessage(message, 'user');
-      this.history.push({ role: 'user', content: message });
+      if (resume && wasSpeaking) {
+        this.resumeAfterSpeech();
+      } else {
+        this.stopBargeInMonitor();
+      }
+    }
 
-      // Show loading
-      this.showLoading();
+    // Throw away text a turn-based recognizer collected while its results were ignored
+    discardPendingTurn() {
+      if (!this.recognition || !this.recognition.endTurn) return;
+      this.ignoreRecognitionForTTS = true;
+      this.recognition.endTurn();
+    }
 
-      try {
-        const headers = {
-          'Content-Type': 'application/json'
-        };
+    canBargeIn() {
+      return Boolean(this.config.bargeIn && this.isInCall && this.isRecording && this.micStream);
+    }
 
-        if (!CONFIG.bypassApiKeyValidation && this.config.apiKey) {
-          headers['Authorization'] = `Bearer ${this.config.apiKey}`;
-        }
+    // Watch the mic while the assistant talks and cut speech off when the user starts talking
+    startBargeInMonitor() {
+      if (this.bargeInDetector) return;
 
-        const response = await fetch(this.config.apiEndpoint, {
-          method: 'POST',
-          headers: headers,
-          body: JSON.stringify({
-            message,
-            sessionId: this.sessionId,
-            history: this.history
-          })
-        });
+      this.bargeInDetector = new VoiceActivityDetector(this.micStream, this.getAudioContext(), {
+        threshold: this.config.bargeInThreshold,
+        minSpeechMs: this.config.bargeInMinSpeechMs
+      });
+      this.bargeInDetector.onspeechstart = () => {
+        log('User barged in, stopping speech');
+        this.stopSpeaking();
+        this.emit('bargein');
+      };
+      this.bargeInDetector.start();
+    }
 
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(errorData.error || `API error: ${response.status}`);
-        }
+    stopBargeInMonitor() {
+      if (!this.bargeInDetector) return;
+      this.bargeInDetector.stop();
+      this.bargeInDetector = null;
+    }
 
-        const data = await response.json();
+    // Echo protection: a transcript made almost entirely of words we just spoke is
+    // most likely the mic picking up our own TTS. Short answers ("yes", "the second one")
+    // share words with almost any reply, so they are never treated as echo.
+    isLikelyEcho(transcript) {
+      if (!this.config.bargeIn || !this.recentSpeech) return false;
+      const speaking = this.pendingUtterances > 0;
+      if (!speaking && Date.now() - this.recentSpeechAt > 3000) return false;
 
-        this.hideLoading();
-        this.addMessage(data.response, 'assistant');
-        this.history.push({ role: 'assistant', content: data.response });
+      const words = normalizeWords(transcript);
+      if (!words.length) return true;
+      if (words.length < 3) return false;
+      const spoken = new Set(normalizeWords(this.recentSpeech));
+      const overlap = words.filter(word => spoken.has(word)).length / words.length;
+      return overlap >= 0.8;
+    }
 
-        // Speak response
-        this.speak(data.response);
+    // Route TTS audio through an analyser so the call visualizer can follow it
+    createAudioPlayer() {
+      this.audioPlayer = new Audio();
+      if (!this.hasWebAudio()) return;
 
-      } catch (err) {
-        error('Error sending message:', err);
-        this.hideLoading();
-        this.addMessage('Sorry, I encountered an error. Please try again.', 'assistant');
-      } finally {
-        this.isLoading = false;
+      try {
+        const audioContext = this.getAudioContext();
+        const source = audioContext.createMediaElementSource(this.audioPlayer);
+        this.outputAnalyser = audioContext.createAnalyser();
+        this.outputAnalyser.fftSize = 1024;
+        source.connect(this.outputAnalyser);
+        this.outputAnalyser.connect(audioContext.destination);
+      } catch (e) {
+        error('Unable to analyse TTS output:', e);
+        this.outputAnalyser = null;
       }
     }
 
-    speak(text) {
-      if (!this.synthesis) return;
-
-      this.synthesis.cancel();
-
-      const utterance = new SpeechSynthesisUtterance(text);
-      utterance.rate = 0.9;
-      utterance.pitch = 1;
-      utterance.volume = 1;
-
-      const wasRecording = this.isRecording;
-      // If we are recording, stop it so we don't hear ourselves
-      if (this.isRecording) {
-        this.recognition.stop();
-        this.isRecording = false;
-        // Update UI to show "Speaking..." or something?
-        if (this.isInCall) {
-          this.elements.statusText.textContent = "AI Speaking...";
-          this.elements.visualizers.forEach(v => v.classList.remove('animate')); // Stop pulse while AI speaks
-          this.elements.voiceBtn.classList.remove('active');
+    // Play queued server audio in order; sources load in parallel while earlier ones play
+    async playAudioQueue() {
+      this.audioPlaying = true;
+      while (this.audioQueue.length) {
+        const item = this.audioQueue.shift();
+        let src = null;
+        try {
+          src = await item.source;
+        } catch (e) {
+          error('Failed to load speech audio:', e);
         }
-        this.suspendedForTTS = true;
+        if (src && item.generation === this.speechGeneration) {
+          if (item.text) this.setCaption('assistant', item.text);
+          await this.playAudioSource(src);
+        }
+        if (src && src.startsWith('blob:')) URL.revokeObjectURL(src);
+        item.done();
       }
+      this.audioPlaying = false;
+    }
 
-      utterance.onend = () => {
-        this.suspendedForTTS = false;
-        this.ignoreRecognitionForTTS = false;
+    // Web Audio only gets samples from blob/data URLs and same-origin files; other URLs
+    // (no CORS headers) would play silent through the analyser, so they play directly
+    canAnalyseAudio(src) {
+      if (!this.hasWebAudio()) return false;
+      if (/^(blob|data):/i.test(src)) return true;
+      try {
+        return new URL(src, window.location.href).origin === window.location.origin;
+      } catch (e) {
+        return false;
+      }
+    }
 
-        // Restart recognition if we're in a call
-        if (this.isInCall && this.shouldKeepListening) {
-          this.restartRecognition();
-        } else if (this.isInCall) {
-          this.elements.statusText.textContent = "Tap to speak";
-        }
-      };
+    playAudioSource(src) {
+      let analysed = this.canAnalyseAudio(src);
+      if (analysed) {
+        // A suspended context would swallow the audio; play directly until it resumes
+        const audioContext = this.getAudioContext();
+        if (audioContext.state === 'suspended') audioContext.resume().catch(() => {});
+        analysed = audioContext.state === 'running';
+      }
+      if (analysed && !this.audioPlayer) this.createAudioPlayer();
+      if (!analysed && !this.directAudioPlayer) this.directAudioPlayer = new Audio();
+      const player = analysed ? this.audioPlayer : this.directAudioPlayer;
+      this.analysingOutput = analysed && Boolean(this.outputAnalyser);
 
-      utterance.onerror = () => {
-        this.suspendedForTTS = false;
-        this.ignoreRecognitionForTTS = false;
-        if (this.isInCall && this.shouldKeepListening) {
-          this.restartRecognition();
-        }
-      };
+      return new Promise((resolve) => {
+        const finish = () => {
+          player.onended = null;
+          player.onerror = null;
+          this.stopCurrentAudio = null;
+          resolve();
+        };
+        this.stopCurrentAudio = () => {
+          player.pause();
+          finish();
+        };
+        player.onended = finish;
+        player.onerror = finish;
+        player.src = src;
+        player.play().catch(e => {
+          error('Audio playback failed:', e);
+          finish();
+        });
+      });
+    }
+  }
 
-      this.synthesis.speak(utterance);
+  // Thin facade handed to host pages so the widget internals stay private
+  function createPublicApi(widget, onDestroy) {
+    const api = {
+      open() {
+        widget.openWidget();
+      },
+      close() {
+        widget.closeWidget();
+      },
+      send(text) {
+        const message = String(text ?? '').trim();
+        if (!message) return Promise.resolve();
+        return widget.sendMessage(message);
+      },
+      startCall() {
+        widget.openWidget();
+        if (!widget.isInCall) widget.startCall();
+      },
+      endCall() {
+        if (widget.isInCall) widget.endCall();
+      },
+      setConfig(options) {
+        widget.setConfig(options);
+      },
+      setTheme(theme, tokens) {
+        widget.setTheme(theme, tokens);
+      },
+      setLanguage(lang) {
+        widget.setLanguage(lang);
+      },
+      // Enlarge or restore the floating panel; omit the argument to toggle
+      expand(expanded) {
+        widget.setExpanded(expanded);
+      },
+      resetSize() {
+        widget.resetPanelSize();
+      },
+      // Call bar controls; omit the argument to toggle
+      mute(muted) {
+        widget.setMuted(muted);
+      },
+      hold(held) {
+        widget.setHeld(held);
+      },
+      setSpeaker(on) {
+        widget.setSpeaker(on);
+      },
+      // Host context sent with requests when pageContext allows 'host' fields
+      setContext(context) {
+        widget.setConfig({ context });
+      },
+      // Fire a configured trigger by id, or { message, suggestions, action } directly
+      trigger(trigger) {
+        return widget.runTrigger(trigger);
+      },
+      newConversation() {
+        widget.newConversation();
+      },
+      registerTool(name, handler, options) {
+        widget.registerTool(name, handler, options);
+      },
+      unregisterTool(name) {
+        widget.unregisterTool(name);
+      },
+      startHandoff(options) {
+        widget.startHandoff(options);
+      },
+      endHandoff() {
+        widget.endHandoff('user');
+      },
+      exportTranscript(format) {
+        return widget.exportTranscript(format);
+      },
+      downloadTranscript(format) {
+        widget.downloadTranscript(format);
+      },
+      printTranscript() {
+        widget.printTranscript();
+      },
+      emailTranscript(email) {
+        return widget.emailTranscript(email);
+      },
+      on(event, handler) {
+        return widget.on(event, handler);
+      },
+      off(event, handler) {
+        widget.off(event, handler);
+      },
+      destroy() {
+        widget.destroy();
+        onDestroy(api);
+      },
+      get id() {
+        return widget.config.id;
+      },
+      get sessionId() {
+        return widget.sessionId;
+      }
+    };
+    return api;
+  }
+
+  // Look up a host callback named in a data attribute, e.g. data-get-token="myApp.getToken"
+  function resolveGlobalFunction(path) {
+    if (!path) return null;
+    const fn = path.split('.').reduce((obj, key) => (obj == null ? obj : obj[key]), window);
+    if (typeof fn !== 'function') {
+      error(`"${path}" is not a function on window`);
+      return null;
     }
+    return fn;
   }
 
-  // Widget initialization
-  function initWidget() {
-    console.log('[AI Widget] initWidget called');
+  // Options settable through data-* attributes (data-api-endpoint -> apiEndpoint) and
+  // what their values must look like. Arrays list the allowed values.
+  const OPTION_TYPES = {
+    apiKey: 'string',
+    bypassApiKeyValidation: 'boolean',
+    apiEndpoint: 'string',
+    autoInit: 'boolean',
+    id: 'string',
+    target: 'string',
+    layout: ['auto', 'floating', 'inline', 'fullscreen'],
+    position: ['bottom-right', 'bottom-left'],
+    width: 'length',
+    height: 'length',
+    zIndex: 'number',
+    mobileFullscreen: 'boolean',
+    mobileBreakpoint: 'number',
+    expandable: 'boolean',
+    resizable: 'boolean',
+    rememberLayout: 'boolean',
+    theme: ['light', 'dark', 'auto'],
+    themeTokens: 'json',
+    welcomeMessage: 'string',
+    starterPrompts: 'json',
+    lang: 'string',
+    voice: 'string',
+    translations: 'json',
+    debug: 'boolean',
+    markdown: 'boolean',
+    stream: 'boolean',
+    storage: ['local', 'session', 'indexeddb'],
+    storageKey: 'string',
+    storageTtl: 'number',
+    sttProvider: ['auto', 'browser', 'recorder'],
+    transcriptionEndpoint: 'string',
+    ttsProvider: ['browser', 'server'],
+    ttsEndpoint: 'string',
+    bargeIn: 'boolean',
+    bargeInThreshold: 'number',
+    bargeInMinSpeechMs: 'number',
+    vadEndOfTurn: 'boolean',
+    vadThreshold: 'number',
+    vadSilenceMs: 'number',
+    captions: 'boolean',
+    callSummary: 'boolean',
+    tokenEndpoint: 'string',
+    getToken: 'function',
+    requestTimeout: 'number',
+    maxRetries: 'number',
+    retryBaseDelay: 'number',
+    schema: ['default', 'openai'],
+    buildRequest: 'function',
+    parseResponse: 'function',
+    parseChunk: 'function',
+    model: 'string',
+    systemPrompt: 'string',
+    headers: 'json',
+    metadata: 'json',
+    pageContext: 'list',
+    context: 'json',
+    contextFieldLimit: 'number',
+    contextMaxSize: 'number',
+    attachments: 'boolean',
+    uploadEndpoint: 'string',
+    maxAttachments: 'number',
+    maxAttachmentSize: 'number',
+    attachmentTypes: 'list',
+    handoffUrl: 'string',
+    createWebSocket: 'function',
+    transcriptEndpoint: 'string',
+    feedback: 'boolean',
+    survey: 'boolean',
+    feedbackEndpoint: 'string',
+    confirmTools: 'boolean',
+    maxToolRounds: 'number',
+    triggers: 'json',
+    unreadBadge: 'boolean'
+  };
 
-    // Find the script tag that loaded this widget
-    const scripts = document.getElementsByTagName('script');
-    let widgetScript = null;
+  // Each parser returns undefined for a value it rejects
+  const OPTION_PARSERS = {
+    string: value => value,
+    boolean: value => ({ '': true, true: true, false: false })[value],
+    number: value => (value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined),
+    length: value => (/^\d+(\.\d+)?$/.test(value)
+      ? Number(value)
+      : (/^\d+(\.\d+)?(px|%|em|rem|vw|vh|dvh)$/.test(value) ? value : undefined)),
+    json: value => {
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return undefined;
+      }
+    },
+    list: value => (value.trim().startsWith('[')
+      ? OPTION_PARSERS.json(value)
+      : value.split(',').map(item => item.trim()).filter(Boolean)),
+    function: value => resolveGlobalFunction(value) || undefined
+  };
+
+  const OPTION_DESCRIPTIONS = {
+    boolean: '"true" or "false"',
+    number: 'a number',
+    length: 'a number of pixels or a CSS length',
+    json: 'valid JSON',
+    list: 'a comma-separated list or JSON array',
+    function: 'the name of a global function'
+  };
 
-    // Look for our script by checking src attribute
-    for (let script of scripts) {
-      if (script.src && script.src.includes('ai-voice-widget.js')) {
-        widgetScript = script;
-        break;
+  // Read and validate an element's data-* options. Invalid values are reported and left
+  // out, so the default applies. Values are never echoed, as they may be credentials.
+  function readDataOptions(element) {
+    const options = {};
+    Object.keys(element.dataset).forEach(key => {
+      const attribute = 'data-' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+      const type = OPTION_TYPES[key];
+      if (key === 'aiVoiceWidget') return;
+      if (!type) {
+        error(`Unknown attribute ${attribute}`);
+        return;
       }
-    }
 
-    if (!widgetScript) {
-      console.error('[AI Widget] Widget script tag not found');
-      return;
-    }
+      const raw = element.dataset[key];
+      const value = Array.isArray(type)
+        ? (type.includes(raw) ? raw : undefined)
+        : OPTION_PARSERS[type](raw);
+      if (value === undefined) {
+        const expected = Array.isArray(type) ? `one of ${type.join(', ')}` : OPTION_DESCRIPTIONS[type];
+        error(`Ignoring ${attribute}: expected ${expected}`);
+        return;
+      }
+      options[key] = value;
+    });
+    return options;
+  }
 
-    const config = {
-      apiKey: widgetScript.dataset.apiKey,
-      apiEndpoint: widgetScript.dataset.apiEndpoint,
-      theme: widgetScript.dataset.theme || 'light',
-      welcomeMessage: widgetScript.dataset.welcomeMessage || 'Hello! How can I help you today?',
-      debug: true // Force debug mode
-    };
+  // Live instances by id; the first one also answers window.AIVoiceWidget's methods
+  const instances = new Map();
+
+  // Create a widget and return its public API (null when the options are unusable)
+  function createInstance(options = {}) {
+    Object.keys(options).forEach(key => {
+      if (!(key in CONFIG)) error(`Unknown option "${key}"`);
+    });
+    const config = { ...options };
 
     // === BYPASS CONFIGURATION ===
-    const BYPASS_API_KEY_VALIDATION = CONFIG.bypassApiKeyValidation;
+    const BYPASS_API_KEY_VALIDATION = config.bypassApiKeyValidation === true;
+    const hasTokenAuth = Boolean(config.tokenEndpoint || config.getToken);
 
-    if (!BYPASS_API_KEY_VALIDATION) {
+    if (!BYPASS_API_KEY_VALIDATION && !hasTokenAuth) {
       if (!config.apiKey) {
-        error('API key is required');
-        return;
+        error('API key or token endpoint is required');
+        return null;
       }
     }
 
@@ -1082,15 +7206,136 @@
       config.apiEndpoint = 'https://ai-voice-widget.onrender.com/chat';
     }
 
-    console.log('[AI Widget] Creating widget instance...');
-    new AIVoiceWidget(config);
+    if (!config.id) {
+      let n = instances.size + 1;
+      while (instances.has(n === 1 ? 'ai-voice-widget' : `ai-voice-widget-${n}`)) n++;
+      config.id = n === 1 ? 'ai-voice-widget' : `ai-voice-widget-${n}`;
+    }
+    if (instances.has(config.id) || document.getElementById(config.id)) {
+      error(`A widget with id "${config.id}" already exists`);
+      return null;
+    }
+    // Instances don't share a saved conversation unless told to
+    if (!config.storageKey && config.id !== 'ai-voice-widget') {
+      config.storageKey = `${CONFIG.storageKey}:${config.id}`;
+    }
+
+    if (typeof config.target === 'string') {
+      let target = null;
+      try {
+        target = document.querySelector(config.target);
+      } catch (e) {
+        error(`Target "${config.target}" is not a valid selector`);
+        return null;
+      }
+      if (!target) {
+        error(`Target "${config.target}" not found`);
+        return null;
+      }
+      config.target = target;
+    }
+
+    config.lang = config.lang || document.documentElement.lang || CONFIG.lang;
+
+    const api = createPublicApi(new AIVoiceWidget(config), (destroyed) => {
+      instances.delete(destroyed.id);
+    });
+    instances.set(config.id, api);
+    // Logged once constructed, since a debug instance only joins debugInstances then
+    log('Created widget instance', config.id);
+    if (instances.size === 1) resolveReady(api);
+
+    // Tell host pages that loaded before us it is ready
+    window.dispatchEvent(new CustomEvent('aivoicewidget:ready', { detail: api }));
+    return api;
+  }
+
+  function getDefaultInstance() {
+    return instances.values().next().value || null;
+  }
+
+  // Settles with the first widget created on the page
+  let resolveReady;
+  const firstInstance = new Promise(resolve => {
+    resolveReady = resolve;
+  });
+
+  // Names of the public API methods, so calls made before any widget exists can wait for one
+  const PUBLIC_METHODS = new Set(Object.entries(Object.getOwnPropertyDescriptors(createPublicApi(null, null)))
+    .filter(([, descriptor]) => typeof descriptor.value === 'function')
+    .map(([name]) => name));
+
+  // window.AIVoiceWidget: init()/get()/getInstances()/whenReady() for managing instances; any
+  // other property (open, send, on, sessionId, ...) is forwarded to the first live instance.
+  // Methods called before that instance exists are queued and return a promise of their result.
+  const namespace = new Proxy({
+    init: createInstance,
+    get: (id) => instances.get(id) || null,
+    getInstances: () => Array.from(instances.values()),
+    whenReady: () => firstInstance
+  }, {
+    get(target, property) {
+      if (property in target) return target[property];
+      const api = getDefaultInstance();
+      if (!api) {
+        if (!PUBLIC_METHODS.has(property)) return undefined;
+        return (...args) => firstInstance.then(instance => instance[property](...args));
+      }
+      const value = api[property];
+      return typeof value === 'function' ? value.bind(api) : value;
+    },
+    has(target, property) {
+      const api = getDefaultInstance();
+      return property in target || Boolean(api && property in api);
+    }
+  });
+
+  // The script tag that loaded us, captured while it is still current
+  const currentScript = document.currentScript;
+
+  // Widget initialization
+  function initWidget() {
+    log('initWidget called');
+
+    // Find the script tag that loaded this widget
+    let widgetScript = currentScript;
+    if (!widgetScript || !widgetScript.src) {
+      widgetScript = Array.from(document.getElementsByTagName('script'))
+        .find(script => script.src && script.src.includes('ai-voice-widget.js')) || null;
+    }
+
+    const scriptOptions = widgetScript ? readDataOptions(widgetScript) : {};
+    if (scriptOptions.autoInit === false) {
+      log('autoInit is off, waiting for AIVoiceWidget.init()');
+      return;
+    }
+
+    if (widgetScript) {
+      delete scriptOptions.autoInit;
+      createInstance(scriptOptions);
+    } else {
+      error('Widget script tag not found');
+    }
+
+    // Elements marked data-ai-voice-widget get their own inline instance
+    document.querySelectorAll('[data-ai-voice-widget]').forEach(element => {
+      if (element.tagName === 'SCRIPT') return;
+      createInstance({ ...readDataOptions(element), target: element });
+    });
   }
 
-  // Initialize when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initWidget);
+  if (window.AIVoiceWidget && typeof window.AIVoiceWidget.init === 'function') {
+    // Loaded twice; the first copy already manages the page
+    error('ai-voice-widget.js was loaded more than once');
   } else {
-    initWidget();
+    window.AIVoiceWidget = namespace;
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', initWidget);
+    } else {
+      initWidget();
+    }
   }
 
 })();